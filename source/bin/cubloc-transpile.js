@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { transpileCubWithSourceMap } = require("../transpiler");
+const { listBoards, loadBoard } = require("../boards");
+
+const USAGE = `Usage: cubloc-transpile [options] <file.cub|directory>...
+
+Transpile CUBLOC BASIC files to MicroPython. Directories are searched recursively for .cub files.
+
+Options:
+  --out-dir <dir>       Write output under <dir>, keeping paths relative to each input directory.
+  --target <profile>    Board profile (${listBoards().join(", ")} or a profile JSON path), or "simulate"
+                        to generate code for the CPython simulator.
+  --check               Report diagnostics only; do not write files.
+  --sourcemap           Also write a .cub.py.map file next to each output file.
+  --exact-arithmetic    Wrap Byte, Integer and Long assignments like CUBLOC does.
+  -h, --help            Show this help.
+
+Files with errors are not written. The exit code is 1 when any file has errors, 2 on usage errors.
+`;
+
+function parseArgs(argv) {
+  const options = { inputs: [], outDir: null, target: null, check: false, sourceMap: false, exactArithmetic: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--out-dir":
+      case "--target":
+        if (i + 1 >= argv.length) {
+          throw new Error(`${arg} requires a value.`);
+        }
+        options[arg === "--out-dir" ? "outDir" : "target"] = argv[++i];
+        break;
+      case "--check":
+        options.check = true;
+        break;
+      case "--sourcemap":
+        options.sourceMap = true;
+        break;
+      case "--exact-arithmetic":
+        options.exactArithmetic = true;
+        break;
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("-")) {
+          throw new Error(`Unknown option '${arg}'.`);
+        }
+        options.inputs.push(arg);
+    }
+  }
+  if (!options.help && options.inputs.length === 0) {
+    throw new Error("No input files.");
+  }
+  return options;
+}
+
+function collectFiles(input) {
+  const stat = fs.statSync(input);
+  if (!stat.isDirectory()) {
+    return [{ file: input, base: path.dirname(input) }];
+  }
+  const files = [];
+  const visit = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory() && entry.name !== "node_modules" && !entry.name.startsWith(".")) {
+        visit(full);
+      } else if (entry.isFile() && entry.name.toLowerCase().endsWith(".cub")) {
+        files.push({ file: full, base: input });
+      }
+    }
+  };
+  visit(input);
+  return files;
+}
+
+function formatDiagnostic(file, diagnostic) {
+  const { line, character } = diagnostic.range.start;
+  const code = diagnostic.code ? ` [${diagnostic.code}]` : "";
+  return `${file}:${line + 1}:${character + 1}: ${diagnostic.severity}: ${diagnostic.message}${code}`;
+}
+
+function transpileFile({ file, base }, options, transpileOptions) {
+  const text = fs.readFileSync(file, "utf8");
+  const result = transpileCubWithSourceMap(text, file, transpileOptions);
+  const { diagnostics } = result;
+  for (const diagnostic of diagnostics) {
+    console.error(formatDiagnostic(file, diagnostic));
+  }
+
+  const errors = diagnostics.filter((diagnostic) => diagnostic.severity === "error").length;
+  if (options.check || errors > 0) {
+    return errors;
+  }
+
+  const outFile = options.outDir
+    ? path.join(options.outDir, `${path.relative(base, file)}.py`)
+    : `${file}.py`;
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, result.code, "utf8");
+  if (options.sourceMap) {
+    fs.writeFileSync(`${outFile}.map`, JSON.stringify(result.sourceMap), "utf8");
+  }
+  console.log(`${file} -> ${outFile}`);
+  return 0;
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`cubloc-transpile: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let files;
+  const transpileOptions = { exactArithmetic: options.exactArithmetic };
+  try {
+    if (options.target === "simulate") {
+      transpileOptions.target = "simulate";
+    } else if (options.target) {
+      transpileOptions.board = loadBoard(options.target);
+    }
+    files = options.inputs.flatMap(collectFiles);
+  } catch (error) {
+    console.error(`cubloc-transpile: ${error.message}`);
+    return 2;
+  }
+
+  let failed = 0;
+  for (const entry of files) {
+    try {
+      if (transpileFile(entry, options, transpileOptions) > 0) {
+        failed += 1;
+      }
+    } catch (error) {
+      console.error(`${entry.file}: ${error.message}`);
+      failed += 1;
+    }
+  }
+  if (failed > 0) {
+    console.error(`${failed} of ${files.length} file(s) have errors.`);
+    return 1;
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
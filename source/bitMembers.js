@@ -0,0 +1,49 @@
+"use strict";
+
+const TYPE_BITS = { BYTE: 8, INTEGER: 16, LONG: 32 };
+const TYPE_TITLES = { BYTE: "Byte", INTEGER: "Integer", LONG: "Long", SINGLE: "Single", STRING: "String" };
+const MEMBER_SIZES = { BIT: 1, NIB: 4, BYTE: 8 };
+const WORD_MEMBERS = { LOWORD: 0, HIWORD: 16 };
+// LOWORD and HIWORD split a Long; they are not members of the narrower types.
+const WORD_TYPE_BITS = 32;
+
+function bitMember(name) {
+  const upper = name.toUpperCase();
+  if (WORD_MEMBERS[upper] !== undefined) {
+    return { offset: WORD_MEMBERS[upper], size: 16, word: true };
+  }
+  const match = /^(BIT|NIB|BYTE)(\d+)$/.exec(upper);
+  if (!match) {
+    return null;
+  }
+  const size = MEMBER_SIZES[match[1]];
+  return { offset: Number(match[2]) * size, size };
+}
+
+function bitMemberNames(type) {
+  const bits = TYPE_BITS[type];
+  const names = [`BIT0-${bits - 1}`, `NIB0-${bits / 4 - 1}`, bits > 8 ? `BYTE0-${bits / 8 - 1}` : "BYTE0"];
+  if (bits === WORD_TYPE_BITS) {
+    names.push("LOWORD", "HIWORD");
+  }
+  return names.join(", ");
+}
+
+// Resolves `variable.member` for a variable of the given declared type. Returns { member } for a
+// bit field that fits the type, or { error } with a message listing the members the type supports.
+function resolveBitMember(memberName, type, variableName) {
+  const member = bitMember(memberName);
+  const bits = TYPE_BITS[type];
+  if (member && bits && member.offset + member.size <= bits && (!member.word || bits === WORD_TYPE_BITS)) {
+    return { member };
+  }
+  const title = TYPE_TITLES[type] || type;
+  if (!bits) {
+    return { error: `${title} variable '${variableName}' has no member ${memberName}.` };
+  }
+  return { error: `${memberName} is not valid for ${title} variable '${variableName}' (${bitMemberNames(type)}).` };
+}
+
+module.exports = {
+  resolveBitMember,
+};
@@ -0,0 +1,93 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const BOARDS_DIR = path.join(__dirname, "boards");
+const CAPABILITIES = ["ports", "adc", "pwm", "uart", "interrupts"];
+const SPI_PINS = ["sck", "mosi", "miso"];
+
+function listBoards() {
+  return fs
+    .readdirSync(BOARDS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => path.basename(file, ".json"))
+    .sort();
+}
+
+function findBoard(name, baseDir = process.cwd()) {
+  const builtIn = path.join(BOARDS_DIR, `${name}.json`);
+  if (/^[\w-]+$/.test(name) && fs.existsSync(builtIn)) {
+    return builtIn;
+  }
+  return path.resolve(baseDir, name);
+}
+
+function loadBoard(name, baseDir) {
+  const filePath = findBoard(name, baseDir);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot load board profile '${name}': ${error.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Board profile '${name}' must be a JSON object.`);
+  }
+
+  const board = {
+    id: path.basename(filePath, ".json"),
+    name: typeof data.name === "string" ? data.name : path.basename(filePath, ".json"),
+  };
+  for (const capability of CAPABILITIES) {
+    board[capability] = data[capability] === undefined ? null : readPinMap(data[capability], capability, name);
+  }
+  board.spi = data.spi === undefined ? null : readSpiBuses(data.spi, name);
+  return board;
+}
+
+// SPI buses map a bus id to the default sck, mosi and miso pins of that hardware bus.
+function readSpiBuses(value, name) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`Board profile '${name}': 'spi' must map bus ids to their sck, mosi and miso pins.`);
+  }
+  const buses = new Map();
+  for (const [key, bus] of Object.entries(value)) {
+    const valid =
+      /^\d+$/.test(key) &&
+      bus &&
+      typeof bus === "object" &&
+      SPI_PINS.every((pin) => typeof bus[pin] === "string" || Number.isInteger(bus[pin]));
+    if (!valid) {
+      throw new Error(`Board profile '${name}': 'spi' entry '${key}' needs sck, mosi and miso pins.`);
+    }
+    buses.set(Number(key), { sck: bus.sck, mosi: bus.mosi, miso: bus.miso });
+  }
+  return buses;
+}
+
+function readPinMap(value, capability, name) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`Board profile '${name}': '${capability}' must map numbers to pins.`);
+  }
+  const map = new Map();
+  for (const [key, pin] of Object.entries(value)) {
+    if (!/^\d+$/.test(key) || (typeof pin !== "string" && !Number.isInteger(pin))) {
+      throw new Error(`Board profile '${name}': '${capability}' entry '${key}' is not a number and pin.`);
+    }
+    map.set(Number(key), pin);
+  }
+  return map;
+}
+
+function boardHas(board, capability, number) {
+  return !board || !board[capability] || board[capability].has(number);
+}
+
+module.exports = {
+  CAPABILITIES,
+  listBoards,
+  findBoard,
+  loadBoard,
+  boardHas,
+};
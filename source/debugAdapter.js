@@ -1,9 +1,26 @@
 "use strict";
 
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const { spawn } = require("child_process");
-const { transpileCubToPython } = require("./transpiler");
+const { RUNTIME_MODULE, transpileCubWithSourceMap } = require("./transpiler");
+const { findSourceLocation } = require("./sourceMap");
+const { loadBoard } = require("./boards");
+
+const TRACEBACK_FILE = /^(\s*)File "([^"]+)", line (\d+)(.*)$/;
+
+const RUNTIME_PATH = path.join(__dirname, "runtime", `${RUNTIME_MODULE}.py`);
+const RUNTIME_DIR = path.dirname(RUNTIME_PATH);
+
+const RUNTIME_HASH_SCRIPT = [
+  "try:",
+  "    import hashlib, binascii",
+  `    with open('${RUNTIME_MODULE}.py', 'rb') as f:`,
+  "        print('CUBLOC_RUNTIME', binascii.hexlify(hashlib.sha256(f.read()).digest()).decode())",
+  "except OSError:",
+  "    print('CUBLOC_RUNTIME', 'missing')",
+].join("\n");
 
 let nextSeq = 1;
 let contentLength = null;
@@ -47,11 +64,11 @@ function sendEvent(event, body) {
   sendMessage(message);
 }
 
-function sendOutput(output, category = "console") {
+function sendOutput(output, category = "console", location) {
   if (!output) {
     return;
   }
-  sendEvent("output", { category, output });
+  sendEvent("output", { category, output, ...location });
 }
 
 function queueTerminate() {
@@ -77,11 +94,12 @@ async function handleLaunch(request, args) {
     const resolved = resolveLaunchArgs(args);
     currentSession = resolved;
     sendResponse(request);
-    sendEvent("process", { name: "CUBLOC BASIC", isLocalProcess: false });
+    sendEvent("process", { name: "CUBLOC BASIC", isLocalProcess: resolved.simulate });
     sendEvent("thread", { reason: "started", threadId: 1 });
     sendEvent("continued", { threadId: 1, allThreadsContinued: true });
 
-    uploadWithMpremote(resolved).catch((error) => {
+    const run = resolved.simulate ? runSimulator(resolved) : uploadWithMpremote(resolved);
+    run.catch((error) => {
       const message = error instanceof Error ? error.message : String(error);
       sendOutput(`${message}\n`, "stderr");
       sendEvent("terminated");
@@ -145,7 +163,8 @@ function resolveLaunchArgs(args) {
     throw new Error("Missing launch configuration.");
   }
 
-  if (!args.serialPort || typeof args.serialPort !== "string") {
+  const simulate = args.simulate === true;
+  if (!simulate && (!args.serialPort || typeof args.serialPort !== "string")) {
     throw new Error("Launch configuration requires a 'serialPort' string.");
   }
 
@@ -159,50 +178,108 @@ function resolveLaunchArgs(args) {
     : path.resolve(cwd, args.program);
   const programLower = programPath.toLowerCase();
   let pythonPath = programPath;
+  let sourceMap = null;
 
   if (programLower.endsWith(".cub")) {
     pythonPath = `${programPath}.py`;
     const basText = fs.readFileSync(programPath, "utf8");
-    const pythonText = transpileCubToPython(basText, programPath);
-    fs.writeFileSync(pythonPath, pythonText, "utf8");
+    const result = transpileCubWithSourceMap(basText, programPath, {
+      exactArithmetic: args.exactArithmetic === true,
+      board: args.board ? loadBoard(args.board, cwd) : null,
+      target: simulate ? "simulate" : "device",
+    });
+    const errors = result.diagnostics.filter((diagnostic) => diagnostic.severity === "error");
+    if (args.strict === true && errors.length > 0) {
+      const details = errors
+        .map((diagnostic) => `${path.basename(programPath)}:${diagnostic.range.start.line + 1}: ${diagnostic.message}`)
+        .join("\n");
+      throw new Error(`Transpiler reported ${errors.length} error(s); upload cancelled.\n${details}`);
+    }
+    fs.writeFileSync(pythonPath, result.code, "utf8");
+    sourceMap = result.sourceMap;
   }
 
   return {
+    programPath,
     serialPort: args.serialPort,
     mpremotePath: args.mpremotePath || "mpremote",
     mpremoteArgs: Array.isArray(args.mpremoteArgs) ? args.mpremoteArgs : [],
     pythonPath,
-    remotePath: args.remotePath || "main.py",
+    sourceMap,
+    remotePath: simulate ? path.basename(pythonPath) : args.remotePath || "main.py",
+    simulate,
+    python: args.python || (process.platform === "win32" ? "python" : "python3"),
+    stimulus: args.stimulus ? path.resolve(cwd, args.stimulus) : null,
+    simulatorTrace: args.simulatorTrace === true,
+    child: null,
     runAfterUpload: args.runAfterUpload !== false,
     stopCommand: typeof args.stopCommand === "string" ? args.stopCommand : "soft-reset",
     cwd,
   };
 }
 
-function uploadWithMpremote(options) {
-  return new Promise((resolve, reject) => {
-    const remotePath = options.remotePath || "main.py";
-    const normalizedRemote = remotePath.replace(/\\/g, "/");
-    const args = [
-      ...options.mpremoteArgs,
-      "connect",
-      options.serialPort,
-      "fs",
-      "cp",
-      options.pythonPath,
-      `:${remotePath}`,
-    ];
-
-    if (options.runAfterUpload) {
-      args.push(
-        "+",
-        "exec",
-        `exec(open('${normalizedRemote}').read(), globals())`
-      );
-    }
+async function uploadWithMpremote(options) {
+  const remotePath = options.remotePath || "main.py";
+  const normalizedRemote = remotePath.replace(/\\/g, "/");
+  const args = [...options.mpremoteArgs, "connect", options.serialPort];
+
+  if (await runtimeNeedsUpload(options)) {
+    args.push("fs", "cp", RUNTIME_PATH, `:${RUNTIME_MODULE}.py`, "+");
+  }
+
+  args.push("fs", "cp", options.pythonPath, `:${remotePath}`);
+
+  if (options.runAfterUpload) {
+    args.push(
+      "+",
+      "exec",
+      `exec(open('${normalizedRemote}').read(), globals())`
+    );
+  }
+
+  sendOutput(`mpremote ${args.join(" ")}\n`);
+  const stdout = createTracebackTranslator(options, "console");
+  const stderr = createTracebackTranslator(options, "stderr");
+  try {
+    await runMpremote(options, args, {
+      stdout: (text) => stdout.write(text),
+      stderr: (text) => stderr.write(text),
+    });
+  } finally {
+    stdout.flush();
+    stderr.flush();
+  }
+}
+
+async function runtimeNeedsUpload(options) {
+  const local = crypto.createHash("sha256").update(fs.readFileSync(RUNTIME_PATH)).digest("hex");
+  let output = "";
+  try {
+    await runMpremote(
+      options,
+      [...options.mpremoteArgs, "connect", options.serialPort, "exec", RUNTIME_HASH_SCRIPT],
+      { stdout: (text) => (output += text), stderr: () => {} }
+    );
+  } catch (error) {
+    return true;
+  }
+
+  const match = /CUBLOC_RUNTIME (\S+)/.exec(output);
+  if (match && match[1] === local) {
+    sendOutput(`${RUNTIME_MODULE}.py is up to date on the device.\n`);
+    return false;
+  }
+  sendOutput(`Uploading ${RUNTIME_MODULE}.py ${runtimeVersion()}.\n`);
+  return true;
+}
 
-    sendOutput(`mpremote ${args.join(" ")}\n`);
+function runtimeVersion() {
+  const match = /^__version__ = "([^"]+)"/m.exec(fs.readFileSync(RUNTIME_PATH, "utf8"));
+  return match ? match[1] : "";
+}
 
+function runMpremote(options, args, handlers) {
+  return new Promise((resolve, reject) => {
     const child = spawn(options.mpremotePath, args, {
       cwd: options.cwd,
       stdio: ["ignore", "pipe", "pipe"],
@@ -210,11 +287,11 @@ function uploadWithMpremote(options) {
     });
 
     child.stdout.on("data", (data) => {
-      sendOutput(data.toString("utf8"));
+      handlers.stdout(data.toString("utf8"));
     });
 
     child.stderr.on("data", (data) => {
-      sendOutput(data.toString("utf8"), "stderr");
+      handlers.stderr(data.toString("utf8"));
     });
 
     child.on("error", (error) => {
@@ -235,58 +312,144 @@ function uploadWithMpremote(options) {
   });
 }
 
-function stopWithMpremote(options) {
-  return new Promise((resolve, reject) => {
-    if (!options) {
-      resolve();
-      return;
+function createTracebackTranslator(options, category) {
+  let pending = "";
+
+  const emit = (text) => {
+    const lineEnd = text.endsWith("\n") ? text.length - 1 : text.length;
+    const translated = translateTracebackLine(text.slice(0, lineEnd).replace(/\r$/, ""), options);
+    if (translated) {
+      sendOutput(`${translated.output}\n`, category, translated.location);
+    } else {
+      sendOutput(text, category);
     }
+  };
 
-    const args = [
-      ...options.mpremoteArgs,
-      "connect",
-      options.serialPort,
-      options.stopCommand,
-    ];
+  return {
+    write(text) {
+      pending += text;
+      let newline = pending.indexOf("\n");
+      while (newline !== -1) {
+        emit(pending.slice(0, newline + 1));
+        pending = pending.slice(newline + 1);
+        newline = pending.indexOf("\n");
+      }
+      // Hold back a partial line only while it could still become a traceback entry.
+      if (pending && !/^\s+(F|Fi|Fil|File\b.*)?$/.test(pending)) {
+        sendOutput(pending, category);
+        pending = "";
+      }
+    },
+    flush() {
+      if (pending) {
+        emit(pending);
+        pending = "";
+      }
+    },
+  };
+}
 
-    sendOutput(`mpremote ${args.join(" ")}\n`);
+function translateTracebackLine(line, options) {
+  const match = TRACEBACK_FILE.exec(line);
+  if (!match || !options.sourceMap) {
+    return null;
+  }
 
-    const child = spawn(options.mpremotePath, args, {
+  const [, indent, file, lineText, rest] = match;
+  const remoteName = path.posix.basename(options.remotePath.replace(/\\/g, "/"));
+  if (file !== "<string>" && path.posix.basename(file.replace(/\\/g, "/")) !== remoteName) {
+    return null;
+  }
+
+  const location = findSourceLocation(options.sourceMap, Number(lineText) - 1);
+  if (!location) {
+    return null;
+  }
+
+  const sourcePath = path.resolve(path.dirname(options.programPath), location.source);
+  const sourceName = path.basename(sourcePath);
+  return {
+    output: `${indent}File "${sourceName}", line ${location.line + 1}${rest} (${file} line ${lineText})`,
+    location: {
+      source: { name: sourceName, path: sourcePath },
+      line: location.line + 1,
+      column: location.column + 1,
+    },
+  };
+}
+
+function runSimulator(options) {
+  const env = {
+    ...process.env,
+    PYTHONPATH: [RUNTIME_DIR, process.env.PYTHONPATH].filter(Boolean).join(path.delimiter),
+    PYTHONUNBUFFERED: "1",
+    CUBLOC_STIMULUS: options.stimulus || "",
+    CUBLOC_SIM_TRACE: options.simulatorTrace ? "1" : "0",
+  };
+  sendOutput(`${options.python} ${options.pythonPath}\n`);
+  const stdout = createTracebackTranslator(options, "console");
+  const stderr = createTracebackTranslator(options, "stderr");
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(options.python, [options.pythonPath], {
       cwd: options.cwd,
+      env,
       stdio: ["ignore", "pipe", "pipe"],
       windowsHide: true,
     });
+    options.child = child;
 
-    child.stdout.on("data", (data) => {
-      sendOutput(data.toString("utf8"));
-    });
-
-    child.stderr.on("data", (data) => {
-      sendOutput(data.toString("utf8"), "stderr");
-    });
+    child.stdout.on("data", (data) => stdout.write(data.toString("utf8")));
+    child.stderr.on("data", (data) => stderr.write(data.toString("utf8")));
 
     child.on("error", (error) => {
-      reject(
-        new Error(
-          `Failed to start mpremote: ${error.message}. Set 'mpremotePath' if it's not on PATH.`
-        )
-      );
+      options.child = null;
+      reject(new Error(`Failed to start ${options.python}: ${error.message}. Set 'python' in the launch configuration.`));
     });
 
     child.on("close", (code) => {
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(`mpremote exited with code ${code}.`));
-      }
+      stdout.flush();
+      stderr.flush();
+      options.child = null;
+      sendOutput(`Simulation exited with code ${code}.\n`);
+      sendEvent("exited", { exitCode: code === null ? 1 : code });
+      sendEvent("terminated");
+      queueTerminate();
+      resolve();
     });
   });
 }
 
+function stopWithMpremote(options) {
+  if (!options) {
+    return Promise.resolve();
+  }
+
+  const args = [
+    ...options.mpremoteArgs,
+    "connect",
+    options.serialPort,
+    options.stopCommand,
+  ];
+
+  sendOutput(`mpremote ${args.join(" ")}\n`);
+  return runMpremote(options, args, {
+    stdout: (text) => sendOutput(text),
+    stderr: (text) => sendOutput(text, "stderr"),
+  });
+}
+
 async function stopExecution() {
   if (!currentSession) {
     return;
   }
+  if (currentSession.simulate) {
+    if (currentSession.child) {
+      currentSession.child.kill();
+    }
+    currentSession = null;
+    return;
+  }
   try {
     await stopWithMpremote(currentSession);
   } catch (error) {
@@ -3,12 +3,14 @@
 const path = require("path");
 const vscode = require("vscode");
 const { LanguageClient, TransportKind } = require("vscode-languageclient/node");
-const { transpileCubToPython } = require("./transpiler");
+const { transpileCubWithSourceMap } = require("./transpiler");
+const { findBoard, loadBoard } = require("./boards");
 const { defaultLadderXml, getLadderWebviewHtml } = require("./ladderWebview");
 
 let client;
 let transpileController;
 let transpileTimer;
+let transpileDiagnostics;
 let debugProvider;
 let ladderProvider;
 let ladderBreadcrumbController;
@@ -28,6 +30,7 @@ function activate(context) {
   const clientOptions = {
     documentSelector: [{ scheme: "file", language: "cubloc-basic" }],
     synchronize: {
+      configurationSection: "cubloc",
       fileEvents: vscode.workspace.createFileSystemWatcher("**/*.cub"),
     },
   };
@@ -41,12 +44,21 @@ function activate(context) {
 
   context.subscriptions.push(client.start());
 
+  transpileDiagnostics = vscode.languages.createDiagnosticCollection("cubloc-transpiler");
+  context.subscriptions.push(transpileDiagnostics);
+
   context.subscriptions.push(
     vscode.workspace.onDidChangeTextDocument((event) => {
       scheduleTranspile(event.document);
     })
   );
 
+  context.subscriptions.push(
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      transpileDiagnostics.delete(document.uri);
+    })
+  );
+
   debugProvider = vscode.debug.registerDebugConfigurationProvider(
     "cubloc-basic",
     {
@@ -87,7 +99,18 @@ function activate(context) {
           }
         }
 
-        if (!resolved.serialPort) {
+        const options = getTranspileOptions(vscode.Uri.file(resolved.program));
+        if (resolved.exactArithmetic === undefined) {
+          resolved.exactArithmetic = options.exactArithmetic;
+        }
+        if (resolved.strict === undefined) {
+          resolved.strict = options.strict;
+        }
+        if (resolved.board === undefined && options.board) {
+          resolved.board = findBoard(options.board, options.boardDir);
+        }
+
+        if (!resolved.serialPort && !resolved.simulate) {
           const port = await vscode.window.showInputBox({
             prompt: "Serial port for the CUBLOC BASIC device",
             placeHolder: "COM3 or /dev/ttyUSB0",
@@ -236,14 +259,73 @@ async function transpileCubDocument(uri, text, signal) {
     return;
   }
 
-  const output = transpileCubToPython(text, uri.fsPath);
+  const options = getTranspileOptions(uri);
+  let board = null;
+  let boardError = null;
+  if (options.board) {
+    try {
+      board = loadBoard(options.board, options.boardDir);
+    } catch (error) {
+      boardError = error;
+    }
+  }
+  const { code, sourceMap, diagnostics } = transpileCubWithSourceMap(text, uri.fsPath, { ...options, board });
+  if (boardError) {
+    diagnostics.unshift({
+      severity: "error",
+      range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+      message: boardError.message,
+      code: "invalid-board",
+    });
+  }
   if (signal.aborted) {
     return;
   }
 
+  // Syntax errors count for strictTranspile but are already shown by the language server.
+  transpileDiagnostics.set(
+    uri,
+    diagnostics.filter((diagnostic) => diagnostic.code !== "syntax").map(toVscodeDiagnostic)
+  );
+  if (options.strict && diagnostics.some((diagnostic) => diagnostic.severity === "error")) {
+    return;
+  }
+
   const pyUri = uri.with({ path: `${uri.path}.py` });
-  const encoded = Buffer.from(output, "utf8");
-  await vscode.workspace.fs.writeFile(pyUri, encoded);
+  await vscode.workspace.fs.writeFile(pyUri, Buffer.from(code, "utf8"));
+
+  if (options.sourceMap) {
+    const mapUri = uri.with({ path: `${uri.path}.py.map` });
+    await vscode.workspace.fs.writeFile(mapUri, Buffer.from(JSON.stringify(sourceMap), "utf8"));
+  }
+}
+
+function toVscodeDiagnostic(diagnostic) {
+  const { start, end } = diagnostic.range;
+  const result = new vscode.Diagnostic(
+    new vscode.Range(start.line, start.character, end.line, end.character),
+    diagnostic.message,
+    diagnostic.severity === "error" ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning
+  );
+  result.source = "cubloc-transpiler";
+  result.code = diagnostic.code;
+  return result;
+}
+
+function getTranspileOptions(uri) {
+  const config = vscode.workspace.getConfiguration("cubloc", uri);
+  return {
+    exactArithmetic: config.get("exactArithmetic", false),
+    sourceMap: config.get("sourceMap", false),
+    strict: config.get("strictTranspile", false),
+    board: config.get("board", ""),
+    boardDir: getWorkspaceDir(uri),
+  };
+}
+
+function getWorkspaceDir(uri) {
+  const folder = vscode.workspace.getWorkspaceFolder(uri);
+  return folder ? folder.uri.fsPath : path.dirname(uri.fsPath);
 }
 
 module.exports = {
@@ -0,0 +1,165 @@
+"use strict";
+
+const OPERATORS = [
+  "<>",
+  "<=",
+  ">=",
+  "<<",
+  ">>",
+  "+",
+  "-",
+  "*",
+  "/",
+  "\\",
+  "^",
+  "=",
+  "<",
+  ">",
+  "&",
+  "(",
+  ")",
+  ",",
+  ":",
+  ";",
+  ".",
+  "?",
+  "#",
+  "$",
+];
+
+function tokenize(text) {
+  const tokens = [];
+  const lines = text.split(/\r?\n/);
+
+  for (let line = 0; line < lines.length; line += 1) {
+    const start = tokens.length;
+    tokenizeLine(lines[line], line, tokens);
+    if (continuesLine(tokens, start)) {
+      continue;
+    }
+    tokens.push(makeToken("newline", "", "", line, lines[line].length, lines[line].length));
+  }
+
+  const lastLine = Math.max(0, lines.length - 1);
+  const lastLength = lines.length > 0 ? lines[lastLine].length : 0;
+  tokens.push(makeToken("eof", "", "", lastLine, lastLength, lastLength));
+  return tokens;
+}
+
+function tokenizeLine(source, line, tokens) {
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if (ch === "'") {
+      const comment = source.slice(i + 1).trim();
+      tokens.push(makeToken("comment", comment, source.slice(i), line, i, source.length));
+      return;
+    }
+
+    if (ch === '"') {
+      const start = i;
+      let value = "";
+      let closed = false;
+      i += 1;
+      while (i < source.length) {
+        if (source[i] === '"') {
+          if (source[i + 1] === '"') {
+            value += '"';
+            i += 2;
+            continue;
+          }
+          closed = true;
+          i += 1;
+          break;
+        }
+        value += source[i];
+        i += 1;
+      }
+      const token = makeToken("string", value, source.slice(start, i), line, start, i);
+      if (!closed) {
+        token.unterminated = true;
+      }
+      tokens.push(token);
+      continue;
+    }
+
+    if (ch === "&" && /[HBO]/i.test(source[i + 1] || "")) {
+      const match = /^&(?:H[0-9A-F]+|B[01]+|O[0-7]+)/i.exec(source.slice(i));
+      if (match) {
+        const raw = match[0];
+        const radix = { H: 16, B: 2, O: 8 }[raw[1].toUpperCase()];
+        const value = Number.parseInt(raw.slice(2), radix);
+        tokens.push(makeToken("number", value, raw, line, i, i + raw.length));
+        i += raw.length;
+        continue;
+      }
+    }
+
+    if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(source[i + 1] || ""))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      const raw = match[0];
+      tokens.push(makeToken("number", Number(raw), raw, line, i, i + raw.length));
+      i += raw.length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+      const word = match[0];
+      if (word.toUpperCase() === "REM") {
+        const rest = source.slice(i + word.length);
+        const comment = rest.trim();
+        tokens.push(makeToken("comment", comment, source.slice(i), line, i, source.length));
+        return;
+      }
+      tokens.push(makeToken("identifier", word, word, line, i, i + word.length));
+      i += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find((candidate) => source.startsWith(candidate, i));
+    if (operator) {
+      tokens.push(makeToken("operator", operator, operator, line, i, i + operator.length));
+      i += operator.length;
+      continue;
+    }
+
+    tokens.push(makeToken("invalid", ch, ch, line, i, i + 1));
+    i += 1;
+  }
+}
+
+function continuesLine(tokens, start) {
+  let last = tokens.length - 1;
+  if (last >= start && tokens[last].type === "comment") {
+    last -= 1;
+  }
+  if (last < start || tokens[last].type !== "identifier" || tokens[last].value !== "_") {
+    return false;
+  }
+  tokens.length = last;
+  return true;
+}
+
+function makeToken(type, value, text, line, start, end) {
+  return {
+    type,
+    value,
+    text,
+    upper: typeof value === "string" ? value.toUpperCase() : text,
+    line,
+    start,
+    end,
+  };
+}
+
+module.exports = {
+  tokenize,
+};
@@ -0,0 +1,1720 @@
+"use strict";
+
+const { tokenize } = require("./lexer");
+
+const BLOCK_ENDINGS = {
+  IF: "End If",
+  FOR: "Next",
+  DO: "Loop",
+  WHILE: "Wend",
+  SUB: "End Sub",
+  FUNCTION: "End Function",
+  SELECT: "End Select",
+  TYPE: "End Type",
+  WITH: "End With",
+};
+
+const BLOCK_TITLES = {
+  IF: "If",
+  FOR: "For",
+  DO: "Do",
+  WHILE: "While",
+  SUB: "Sub",
+  FUNCTION: "Function",
+  SELECT: "Select",
+  TYPE: "Type",
+  WITH: "With",
+};
+
+const TERMINATOR_TITLES = {
+  ELSEIF: "ElseIf",
+  ELSE: "Else",
+  ENDIF: "End If",
+  NEXT: "Next",
+  LOOP: "Loop",
+  WEND: "Wend",
+  CASE: "Case",
+  ENDSELECT: "End Select",
+  ENDSUB: "End Sub",
+  ENDFUNCTION: "End Function",
+  ENDTYPE: "End Type",
+  ENDWITH: "End With",
+};
+
+const TERMINATOR_OWNERS = {
+  ELSEIF: "IF",
+  ELSE: "IF",
+  ENDIF: "IF",
+  NEXT: "FOR",
+  LOOP: "DO",
+  WEND: "WHILE",
+  CASE: "SELECT",
+  ENDSELECT: "SELECT",
+  ENDSUB: "SUB",
+  ENDFUNCTION: "FUNCTION",
+  ENDTYPE: "TYPE",
+  ENDWITH: "WITH",
+};
+
+const BLOCK_STATEMENTS = new Set(["If", "For", "DoLoop", "While", "Select", "Procedure", "Type", "With"]);
+
+const DIM_TYPES = new Set(["BYTE", "INTEGER", "LONG", "SINGLE", "STRING"]);
+
+const COMMANDS = new Set([
+  "PRINT",
+  "DELAY",
+  "OUT",
+  "OUTPUT",
+  "INPUT",
+  "OPENCOM",
+  "PUT",
+  "GETSTR",
+  "BCLEAR",
+  "PWM",
+  "PWMOFF",
+  "FREQOUT",
+  "I2CSTART",
+  "I2CSTOP",
+  "I2CWRITE",
+  "SHIFTOUT",
+  "EEWRITE",
+]);
+
+const RESERVED_WORDS = new Set([
+  "AND",
+  "OR",
+  "XOR",
+  "NOT",
+  "MOD",
+  "THEN",
+  "ELSE",
+  "TO",
+  "STEP",
+]);
+
+// Every word the parser gives a meaning of its own; the preprocessor will not #define these.
+const KEYWORDS = new Set([
+  ...Object.keys(BLOCK_TITLES),
+  ...Object.keys(TERMINATOR_TITLES),
+  ...DIM_TYPES,
+  ...COMMANDS,
+  ...RESERVED_WORDS,
+  "AS",
+  "BYREF",
+  "BYVAL",
+  "CALL",
+  "CONST",
+  "DEBUG",
+  "DIM",
+  "END",
+  "EXIT",
+  "GOSUB",
+  "GOTO",
+  "IS",
+  "LET",
+  "ON",
+  "PUTSTR",
+  "RETURN",
+  "SET",
+  "UNTIL",
+]);
+
+const LABEL_EXCLUDED_WORDS = new Set(["ELSE", "END", "LOOP", "NEXT", "DO", "RETURN", "WEND"]);
+
+const PRECEDENCE = [
+  { operators: ["OR", "XOR"] },
+  { operators: ["AND"] },
+  { unary: ["NOT"] },
+  { operators: ["=", "<>"] },
+  { operators: ["<", ">", "<=", ">="] },
+  { operators: ["<<", ">>"] },
+  { operators: ["+", "-", "&"] },
+  { operators: ["*", "/", "\\", "MOD"] },
+  { unary: ["-", "+"] },
+  { operators: ["^"] },
+];
+
+function parseProgram(text) {
+  const parser = {
+    text,
+    lines: text.split(/\r?\n/),
+    tokens: tokenize(text),
+    pos: 0,
+    diagnostics: [],
+    openBlocks: [],
+    inlineIf: 0,
+    pendingNext: null,
+    errorLine: -1,
+  };
+
+  const result = parseBlock(parser, null);
+  const last = parser.tokens[parser.tokens.length - 1];
+
+  return {
+    ast: {
+      type: "Program",
+      body: result.body,
+      range: makeRange(0, 0, last.line, last.end),
+    },
+    diagnostics: parser.diagnostics,
+  };
+}
+
+function parseBlock(p, kind) {
+  const body = [];
+
+  while (true) {
+    if (p.pendingNext) {
+      if (kind === "FOR") {
+        return { body, terminator: "NEXT" };
+      }
+      const pending = p.pendingNext;
+      p.pendingNext = null;
+      addError(p, tokenRange(pending.names[0]), "Next without matching For.");
+    }
+
+    const token = peek(p);
+    if (token.type === "eof") {
+      return { body, terminator: null };
+    }
+
+    if (token.type === "newline" || isOperator(token, ":")) {
+      next(p);
+      continue;
+    }
+
+    if (token.type === "comment") {
+      next(p);
+      body.push({ type: "Comment", text: token.value, range: tokenRange(token) });
+      continue;
+    }
+
+    const label = parseLabel(p);
+    if (label) {
+      body.push(label);
+      if (atLineEnd(p)) {
+        label.comment = finishLine(p);
+        continue;
+      }
+    }
+
+    const terminator = peekTerminator(p);
+    if (terminator) {
+      if (kind && TERMINATOR_OWNERS[terminator.name] === kind) {
+        return { body, terminator: terminator.name };
+      }
+      if (p.openBlocks.some((open) => open === TERMINATOR_OWNERS[terminator.name])) {
+        return { body, terminator: null, pending: terminator };
+      }
+      addError(
+        p,
+        terminator.range,
+        `${TERMINATOR_TITLES[terminator.name]} without matching ${
+          BLOCK_TITLES[TERMINATOR_OWNERS[terminator.name]]
+        }.`
+      );
+      skipLine(p);
+      continue;
+    }
+
+    const statement = parseStatement(p);
+    statement.endLine = previous(p).line;
+    if (!isLineStart(p) && !(isBlockStatement(statement) && peekTerminator(p))) {
+      attachComment(statement, finishLine(p));
+    }
+    body.push(statement);
+  }
+}
+
+function parseBody(p, kind, openToken) {
+  p.openBlocks.push(kind);
+  const result = parseBlock(p, kind);
+  p.openBlocks.pop();
+
+  if (!result.terminator) {
+    const message = result.pending
+      ? `Missing ${BLOCK_ENDINGS[kind]} before ${TERMINATOR_TITLES[result.pending.name]}.`
+      : `Missing ${BLOCK_ENDINGS[kind]} for ${BLOCK_TITLES[kind]}.`;
+    addError(p, tokenRange(openToken), message, true);
+  }
+
+  return result;
+}
+
+function parseLabel(p) {
+  const token = peek(p);
+  if (!isLineStart(p)) {
+    return null;
+  }
+
+  if (token.type === "number" && /^\d+$/.test(token.text)) {
+    next(p);
+    return { type: "Label", name: token.text, numeric: true, range: tokenRange(token) };
+  }
+
+  const colon = peek(p, 1);
+  if (
+    token.type === "identifier" &&
+    !LABEL_EXCLUDED_WORDS.has(token.upper) &&
+    colon.type === "operator" &&
+    colon.value === ":" &&
+    colon.line === token.line
+  ) {
+    next(p);
+    next(p);
+    return { type: "Label", name: token.value, numeric: false, range: tokenRange(token) };
+  }
+
+  return null;
+}
+
+function peekTerminator(p) {
+  const token = peek(p);
+  if (token.type !== "identifier") {
+    return null;
+  }
+
+  const following = peek(p, 1);
+  const followingWord = following.type === "identifier" ? following.upper : null;
+  const twoWord = (name) => ({ name, count: 2, range: rangeBetween(token, following) });
+  const oneWord = (name) => ({ name, count: 1, range: tokenRange(token) });
+
+  switch (token.upper) {
+    case "ELSEIF":
+      return oneWord("ELSEIF");
+    case "ELSE":
+      return followingWord === "IF" ? twoWord("ELSEIF") : oneWord("ELSE");
+    case "ENDIF":
+      return oneWord("ENDIF");
+    case "NEXT":
+      return oneWord("NEXT");
+    case "LOOP":
+      return oneWord("LOOP");
+    case "WEND":
+      return oneWord("WEND");
+    case "CASE":
+      return oneWord("CASE");
+    case "END":
+      if (["IF", "SELECT", "SUB", "FUNCTION", "TYPE", "WITH"].includes(followingWord)) {
+        return twoWord(`END${followingWord}`);
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+function consumeTerminator(p) {
+  const terminator = peekTerminator(p);
+  for (let i = 0; i < terminator.count; i += 1) {
+    next(p);
+  }
+  return terminator;
+}
+
+function parseStatement(p) {
+  const token = peek(p);
+
+  if (token.type !== "identifier") {
+    return parseUnknown(p, `Unexpected '${token.text}'.`);
+  }
+
+  switch (token.upper) {
+    case "IF":
+      return parseIf(p);
+    case "FOR":
+      return parseFor(p);
+    case "DO":
+      return parseDo(p);
+    case "WHILE":
+      return parseWhile(p);
+    case "SELECT":
+      return parseSelect(p);
+    case "SUB":
+    case "FUNCTION":
+      return parseProcedure(p);
+    case "TYPE":
+      return parseType(p);
+    case "WITH":
+      return parseWith(p);
+    case "DIM":
+      return parseDim(p);
+    case "CONST":
+      return parseConst(p);
+    case "GOTO":
+    case "GOSUB":
+      return parseJump(p);
+    case "RETURN":
+      next(p);
+      return { type: "Return", range: tokenRange(token) };
+    case "END":
+      next(p);
+      return { type: "End", range: tokenRange(token) };
+    case "EXIT":
+      return parseExit(p);
+    case "LET":
+      return parseLet(p);
+    case "CALL":
+      return parseCall(p, true);
+    case "DEBUG":
+      return parseDebug(p);
+    case "PUTSTR":
+      return parsePutStr(p);
+    case "ON":
+      return parseOn(p);
+    case "SET":
+      if (peek(p, 1).type === "identifier") {
+        return parseSet(p);
+      }
+      return parseAssignmentOrCall(p);
+    default:
+      if (COMMANDS.has(token.upper)) {
+        return parseCommand(p);
+      }
+      return parseAssignmentOrCall(p);
+  }
+}
+
+function parseInlineStatements(p) {
+  const statements = [parseInlineStatement(p)];
+  while (isOperator(peek(p), ":")) {
+    next(p);
+    if (!isStatementEnd(p)) {
+      statements.push(parseStatement(p));
+    }
+  }
+  return statements;
+}
+
+function parseInlineStatement(p) {
+  const token = peek(p);
+  if (token.type === "number" && /^\d+$/.test(token.text)) {
+    next(p);
+    return {
+      type: "GoTo",
+      target: token.text,
+      targetRange: tokenRange(token),
+      range: tokenRange(token),
+    };
+  }
+  return parseStatement(p);
+}
+
+function parseIf(p) {
+  const ifToken = next(p);
+  const condition = parseExpression(p);
+
+  if (!matchWord(p, "THEN")) {
+    addError(p, tokenRange(ifToken), "If without Then.");
+    skipToStatementEnd(p);
+    return {
+      type: "Unknown",
+      text: sourceText(p, ifToken, previous(p)),
+      range: tokenRange(ifToken),
+    };
+  }
+
+  if (!atLineEnd(p) && !isOperator(peek(p), ":")) {
+    p.inlineIf += 1;
+    const consequent = parseInlineStatements(p);
+    let alternate = null;
+    if (matchWord(p, "ELSE")) {
+      alternate = parseInlineStatements(p);
+    }
+    p.inlineIf -= 1;
+    return {
+      type: "If",
+      inline: true,
+      condition,
+      consequent,
+      alternates: [],
+      alternate,
+      range: rangeBetween(ifToken, previous(p)),
+    };
+  }
+
+  const node = {
+    type: "If",
+    inline: false,
+    condition,
+    consequent: [],
+    alternates: [],
+    alternate: null,
+    range: rangeBetween(ifToken, previous(p)),
+    comment: finishLine(p),
+  };
+
+  let target = node.consequent;
+  while (true) {
+    const result = parseBody(p, "IF", ifToken);
+    target.push(...result.body);
+    if (!result.terminator) {
+      break;
+    }
+
+    const terminator = consumeTerminator(p);
+    if (terminator.name === "ENDIF") {
+      break;
+    }
+
+    if (node.alternate) {
+      addError(p, terminator.range, `${TERMINATOR_TITLES[terminator.name]} after Else.`);
+    }
+
+    if (terminator.name === "ELSEIF") {
+      const clauseCondition = parseExpression(p);
+      if (!matchWord(p, "THEN")) {
+        addError(p, terminator.range, "ElseIf without Then.");
+      }
+      const clause = {
+        condition: clauseCondition,
+        body: [],
+        range: terminator.range,
+        comment: finishLine(p),
+      };
+      node.alternates.push(clause);
+      target = clause.body;
+      continue;
+    }
+
+    node.alternate = [];
+    node.elseRange = terminator.range;
+    node.elseComment = finishLine(p);
+    target = node.alternate;
+  }
+
+  return node;
+}
+
+function parseFor(p) {
+  const forToken = next(p);
+  const variableToken = peek(p);
+  const node = {
+    type: "For",
+    variable: null,
+    start: null,
+    end: null,
+    step: null,
+    body: [],
+    range: tokenRange(forToken),
+  };
+
+  if (variableToken.type !== "identifier" || RESERVED_WORDS.has(variableToken.upper)) {
+    addError(p, tokenRange(forToken), "For requires a loop variable.");
+  } else {
+    next(p);
+    node.variable = { name: variableToken.value, range: tokenRange(variableToken) };
+    if (!matchOperator(p, "=")) {
+      addError(p, tokenRange(forToken), "For requires = start value.");
+    } else {
+      node.start = parseExpression(p);
+      if (!matchWord(p, "TO")) {
+        addError(p, tokenRange(forToken), "For requires To.");
+      } else {
+        node.end = parseExpression(p);
+        if (matchWord(p, "STEP")) {
+          node.step = parseExpression(p);
+        }
+      }
+    }
+  }
+
+  node.range = rangeBetween(forToken, previous(p));
+  node.comment = finishLine(p);
+
+  const result = parseBody(p, "FOR", forToken);
+  node.body = result.body;
+  if (result.terminator) {
+    closeNext(p, node);
+  }
+  return node;
+}
+
+function closeNext(p, node) {
+  let names;
+  if (p.pendingNext) {
+    names = p.pendingNext.names;
+    p.pendingNext = null;
+  } else {
+    next(p);
+    names = [];
+    while (peek(p).type === "identifier" && !isStatementEnd(p)) {
+      names.push(next(p));
+      if (!matchOperator(p, ",")) {
+        break;
+      }
+    }
+  }
+
+  const [name, ...rest] = names;
+  if (name && node.variable && name.upper !== node.variable.name.toUpperCase()) {
+    addError(p, tokenRange(name), `Next ${name.value} does not match For ${node.variable.name}.`);
+  }
+  if (rest.length > 0) {
+    p.pendingNext = { names: rest };
+  }
+}
+
+function parseDo(p) {
+  const doToken = next(p);
+  const node = {
+    type: "DoLoop",
+    preCondition: parseLoopCondition(p, "Do"),
+    postCondition: null,
+    body: [],
+    range: null,
+  };
+  node.range = rangeBetween(doToken, previous(p));
+  node.comment = finishLine(p);
+
+  const result = parseBody(p, "DO", doToken);
+  node.body = result.body;
+  if (result.terminator) {
+    const loopToken = next(p);
+    node.postCondition = parseLoopCondition(p, "Loop");
+    if (node.postCondition && node.preCondition) {
+      addError(
+        p,
+        tokenRange(loopToken),
+        "Loop cannot include a condition when Do already has While/Until."
+      );
+    }
+  }
+  return node;
+}
+
+function parseLoopCondition(p, context) {
+  const token = peek(p);
+  if (token.type !== "identifier" || (token.upper !== "WHILE" && token.upper !== "UNTIL")) {
+    return null;
+  }
+
+  next(p);
+  const kind = token.upper;
+  if (isStatementEnd(p)) {
+    addError(
+      p,
+      tokenRange(token),
+      `${context} ${kind === "WHILE" ? "While" : "Until"} requires a condition.`
+    );
+    return null;
+  }
+  return { kind, expression: parseExpression(p), range: tokenRange(token) };
+}
+
+function parseWhile(p) {
+  const whileToken = next(p);
+  const node = {
+    type: "While",
+    condition: null,
+    body: [],
+    range: null,
+  };
+
+  if (isStatementEnd(p)) {
+    addError(p, tokenRange(whileToken), "While requires a condition.");
+  } else {
+    node.condition = parseExpression(p);
+  }
+  node.range = rangeBetween(whileToken, previous(p));
+  node.comment = finishLine(p);
+
+  const result = parseBody(p, "WHILE", whileToken);
+  node.body = result.body;
+  if (result.terminator) {
+    next(p);
+  }
+  return node;
+}
+
+function parseSelect(p) {
+  const selectToken = next(p);
+  const node = {
+    type: "Select",
+    subject: null,
+    cases: [],
+    range: tokenRange(selectToken),
+  };
+
+  const caseToken = peek(p);
+  if (!matchWord(p, "CASE")) {
+    addError(p, tokenRange(selectToken), "Select requires Case.");
+    skipToStatementEnd(p);
+  } else if (isStatementEnd(p)) {
+    addError(p, rangeBetween(selectToken, caseToken), "Select Case requires an expression.");
+  } else {
+    node.subject = parseExpression(p);
+  }
+  node.range = rangeBetween(selectToken, previous(p));
+  node.comment = finishLine(p);
+
+  let hasElse = false;
+  let current = null;
+  while (true) {
+    const result = parseBody(p, "SELECT", selectToken);
+    if (current) {
+      current.body.push(...result.body);
+    } else if (result.body.some((statement) => statement.type !== "Comment")) {
+      addError(
+        p,
+        result.body.find((statement) => statement.type !== "Comment").range,
+        "Statements before the first Case are never run.",
+        false,
+        "warning"
+      );
+    }
+
+    if (!result.terminator) {
+      break;
+    }
+
+    const terminator = consumeTerminator(p);
+    if (terminator.name === "ENDSELECT") {
+      break;
+    }
+
+    if (hasElse) {
+      addError(p, terminator.range, "Case after Case Else is never reached.", false, "warning");
+    }
+
+    current = { tests: [], isElse: false, body: [], range: terminator.range };
+    if (matchWord(p, "ELSE")) {
+      current.isElse = true;
+      hasElse = true;
+    } else {
+      current.tests = parseCaseTests(p, terminator.range);
+    }
+    current.comment = finishLine(p);
+    node.cases.push(current);
+  }
+
+  return node;
+}
+
+function parseCaseTests(p, caseRange) {
+  const tests = [];
+
+  if (isStatementEnd(p)) {
+    addError(p, caseRange, "Case requires a value, range or Is comparison.");
+    return tests;
+  }
+
+  do {
+    if (isStatementEnd(p) || isOperator(peek(p), ",")) {
+      addError(p, caseRange, "Case requires a value, range or Is comparison.");
+      continue;
+    }
+
+    if (matchWord(p, "IS")) {
+      const operator = peek(p);
+      if (
+        operator.type !== "operator" ||
+        !["=", "<>", "<", ">", "<=", ">="].includes(operator.value)
+      ) {
+        addError(p, caseRange, "Case Is requires a comparison operator and value.");
+        skipToStatementEnd(p);
+        return tests;
+      }
+      next(p);
+      if (isStatementEnd(p) || isOperator(peek(p), ",")) {
+        addError(p, caseRange, "Case Is requires a comparison operator and value.");
+        continue;
+      }
+      tests.push({ kind: "is", operator: operator.value, expression: parseExpression(p) });
+      continue;
+    }
+
+    const low = parseExpression(p);
+    if (matchWord(p, "TO")) {
+      if (isStatementEnd(p) || isOperator(peek(p), ",")) {
+        addError(p, caseRange, "Case range requires start To end.");
+        continue;
+      }
+      tests.push({ kind: "range", low, high: parseExpression(p) });
+      continue;
+    }
+    tests.push({ kind: "value", expression: low });
+  } while (matchOperator(p, ","));
+
+  return tests;
+}
+
+function parseProcedure(p) {
+  const keywordToken = next(p);
+  const kind = keywordToken.upper;
+  const title = BLOCK_TITLES[kind];
+  const nameToken = peek(p);
+  const node = {
+    type: "Procedure",
+    kind,
+    name: null,
+    nameRange: null,
+    params: [],
+    returnType: null,
+    body: [],
+    range: tokenRange(keywordToken),
+  };
+
+  if (p.openBlocks.length > 0) {
+    addError(p, tokenRange(keywordToken), `${title} must be declared outside other blocks.`);
+  }
+
+  if (nameToken.type !== "identifier") {
+    addError(p, tokenRange(keywordToken), `${title} requires a name.`);
+    skipToStatementEnd(p);
+  } else {
+    next(p);
+    node.name = nameToken.value;
+    node.nameRange = tokenRange(nameToken);
+
+    if (matchOperator(p, "(")) {
+      if (!matchOperator(p, ")")) {
+        do {
+          const param = parseParameter(p);
+          if (param) {
+            node.params.push(param);
+          }
+        } while (matchOperator(p, ","));
+        if (!matchOperator(p, ")")) {
+          addError(p, tokenRange(peek(p)), `${title} parameter list requires closing parenthesis.`);
+          skipToStatementEnd(p);
+        }
+      }
+    }
+
+    if (matchWord(p, "AS")) {
+      const typeToken = peek(p);
+      if (typeToken.type === "identifier") {
+        next(p);
+        node.returnType = typeToken.upper;
+      } else {
+        addError(p, tokenRange(keywordToken), `${title} As requires Type.`);
+      }
+    }
+  }
+
+  node.range = rangeBetween(keywordToken, previous(p));
+  node.comment = finishLine(p);
+
+  const result = parseBody(p, kind, keywordToken);
+  node.body = result.body;
+  if (result.terminator) {
+    consumeTerminator(p);
+  }
+  return node;
+}
+
+function parseParameter(p) {
+  let byRef = false;
+  const first = peek(p);
+  if (first.type === "identifier" && (first.upper === "BYVAL" || first.upper === "BYREF")) {
+    next(p);
+    byRef = first.upper === "BYREF";
+  }
+
+  const nameToken = peek(p);
+  if (nameToken.type !== "identifier") {
+    addError(p, tokenRange(nameToken), "Parameter requires a name.");
+    return null;
+  }
+  next(p);
+
+  let isArray = false;
+  if (matchOperator(p, "(")) {
+    isArray = true;
+    if (!matchOperator(p, ")")) {
+      addError(p, tokenRange(nameToken), "Array parameter requires ().");
+    }
+  }
+
+  let type = null;
+  if (matchWord(p, "AS")) {
+    const typeToken = peek(p);
+    if (typeToken.type === "identifier") {
+      next(p);
+      type = typeToken.upper;
+    }
+  }
+
+  return {
+    name: nameToken.value,
+    byRef,
+    isArray,
+    type,
+    range: rangeBetween(first, previous(p)),
+  };
+}
+
+function parseType(p) {
+  const typeToken = next(p);
+  const node = {
+    type: "Type",
+    text: "",
+    body: [],
+    range: tokenRange(typeToken),
+  };
+  skipToStatementEnd(p);
+  node.text = sourceText(p, typeToken, previous(p));
+  node.range = rangeBetween(typeToken, previous(p));
+  node.comment = finishLine(p);
+
+  p.openBlocks.push("TYPE");
+  while (true) {
+    const token = peek(p);
+    if (token.type === "eof") {
+      addError(p, tokenRange(typeToken), "Missing End Type for Type.", true);
+      break;
+    }
+    const terminator = peekTerminator(p);
+    if (terminator && terminator.name === "ENDTYPE") {
+      consumeTerminator(p);
+      break;
+    }
+    if (token.type === "newline") {
+      next(p);
+      continue;
+    }
+    const start = token;
+    skipToStatementEnd(p);
+    node.body.push({
+      type: "Unknown",
+      text: sourceText(p, start, previous(p)),
+      range: rangeBetween(start, previous(p)),
+    });
+  }
+  p.openBlocks.pop();
+  return node;
+}
+
+function parseWith(p) {
+  const withToken = next(p);
+  const node = {
+    type: "With",
+    object: null,
+    body: [],
+    range: tokenRange(withToken),
+  };
+  node.object = parseExpression(p);
+  node.range = rangeBetween(withToken, previous(p));
+  node.comment = finishLine(p);
+
+  const result = parseBody(p, "WITH", withToken);
+  node.body = result.body;
+  if (result.terminator) {
+    consumeTerminator(p);
+  }
+  return node;
+}
+
+function parseDim(p) {
+  const dimToken = next(p);
+  const keywordRange = tokenRange(dimToken);
+  const node = { type: "Dim", declarations: [], range: keywordRange };
+
+  if (isStatementEnd(p)) {
+    addError(p, keywordRange, "Dim requires variable name.");
+    return node;
+  }
+
+  do {
+    const declaration = parseDeclaration(p, keywordRange);
+    if (!declaration) {
+      skipToStatementEnd(p);
+      break;
+    }
+    node.declarations.push(declaration);
+  } while (matchOperator(p, ","));
+
+  node.range = rangeBetween(dimToken, previous(p));
+  return node;
+}
+
+function parseDeclaration(p, keywordRange) {
+  const nameToken = peek(p);
+  if (nameToken.type !== "identifier" || isStatementEnd(p)) {
+    addError(p, tokenRange(nameToken), "Dim requires variable name.");
+    return null;
+  }
+  next(p);
+
+  const declaration = {
+    name: nameToken.value,
+    nameRange: tokenRange(nameToken),
+    dimensions: null,
+    typeName: null,
+    length: null,
+    range: null,
+  };
+
+  if (isOperator(peek(p), "(")) {
+    const openToken = next(p);
+    declaration.dimensions = [];
+    if (!isOperator(peek(p), ")")) {
+      do {
+        declaration.dimensions.push(parseExpression(p));
+      } while (matchOperator(p, ","));
+    }
+    if (!matchOperator(p, ")")) {
+      addError(p, tokenRange(openToken), "Dim array requires closing parenthesis.");
+      return null;
+    }
+  }
+
+  if (!matchWord(p, "AS")) {
+    addError(p, keywordRange, "Dim requires As <Type>.");
+    return null;
+  }
+
+  const typeName = parseTypeName(p, "Dim As requires Type.");
+  if (!typeName) {
+    return null;
+  }
+  declaration.typeName = typeName.name;
+  declaration.length = typeName.length;
+  declaration.range = rangeBetween(nameToken, previous(p));
+  return declaration;
+}
+
+function parseTypeName(p, missingMessage) {
+  const typeToken = peek(p);
+  if (typeToken.type !== "identifier") {
+    addError(p, tokenRange(typeToken), missingMessage);
+    return null;
+  }
+  next(p);
+
+  if (!DIM_TYPES.has(typeToken.upper)) {
+    addError(p, tokenRange(typeToken), "Invalid Dim Type.");
+    return null;
+  }
+
+  const result = { name: typeToken.upper, length: null };
+  if (!isOperator(peek(p), "*")) {
+    return result;
+  }
+
+  const starToken = next(p);
+  if (result.name !== "STRING") {
+    addError(p, tokenRange(starToken), "Only String may use * length.");
+    return null;
+  }
+  const lengthToken = peek(p);
+  if (isStatementEnd(p) || isOperator(lengthToken, ",")) {
+    addError(p, tokenRange(lengthToken), "String length required after *.");
+    return null;
+  }
+  result.length = parsePrimary(p);
+  if (result.length.type !== "Number" && result.length.type !== "Identifier") {
+    addError(p, result.length.range, "String length must be a number or constant.");
+  }
+  return result;
+}
+
+function parseConst(p) {
+  const constToken = next(p);
+  const keywordRange = tokenRange(constToken);
+  const node = {
+    type: "Const",
+    name: null,
+    nameRange: null,
+    typeName: null,
+    length: null,
+    value: null,
+    values: null,
+    range: keywordRange,
+  };
+
+  const first = peek(p);
+  const following = peek(p, 1);
+  const typePrefix =
+    first.type === "identifier" &&
+    DIM_TYPES.has(first.upper) &&
+    (following.type === "identifier" || isOperator(following, "*"));
+  if (typePrefix) {
+    const typeName = parseTypeName(p, "Const requires Type.");
+    if (!typeName) {
+      skipToStatementEnd(p);
+      return node;
+    }
+    node.typeName = typeName.name;
+    node.length = typeName.length;
+  }
+
+  const nameToken = peek(p);
+  if (nameToken.type !== "identifier" || RESERVED_WORDS.has(nameToken.upper)) {
+    addError(p, keywordRange, "Const requires a name.");
+    skipToStatementEnd(p);
+    return node;
+  }
+  next(p);
+  node.name = nameToken.value;
+  node.nameRange = tokenRange(nameToken);
+
+  if (!typePrefix && matchWord(p, "AS")) {
+    const typeName = parseTypeName(p, "Const As requires Type.");
+    if (!typeName) {
+      skipToStatementEnd(p);
+      return node;
+    }
+    node.typeName = typeName.name;
+    node.length = typeName.length;
+  }
+
+  if (!matchOperator(p, "=")) {
+    addError(p, keywordRange, "Const requires = value.");
+    skipToStatementEnd(p);
+    return node;
+  }
+
+  if (isOperator(peek(p), "(") && (typePrefix || hasTopLevelComma(p, p.pos))) {
+    const openToken = next(p);
+    node.values = [];
+    do {
+      node.values.push(parseExpression(p));
+    } while (matchOperator(p, ","));
+    if (!matchOperator(p, ")")) {
+      addError(p, tokenRange(openToken), "Const array requires closing parenthesis.");
+      skipToStatementEnd(p);
+    }
+  } else if (isStatementEnd(p)) {
+    addError(p, keywordRange, "Const requires = value.");
+  } else {
+    node.value = parseExpression(p);
+  }
+
+  node.range = rangeBetween(constToken, previous(p));
+  return node;
+}
+
+function hasTopLevelComma(p, openIndex) {
+  const closeIndex = findClosingParen(p, openIndex);
+  let depth = 0;
+  for (let i = openIndex + 1; i < (closeIndex === -1 ? p.tokens.length : closeIndex); i += 1) {
+    const token = p.tokens[i];
+    if (token.type === "newline" || token.type === "eof") {
+      break;
+    }
+    if (isOperator(token, "(")) {
+      depth += 1;
+    } else if (isOperator(token, ")")) {
+      depth -= 1;
+    } else if (isOperator(token, ",") && depth === 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function parseJump(p) {
+  const keywordToken = next(p);
+  const type = keywordToken.upper === "GOSUB" ? "GoSub" : "GoTo";
+  const targetToken = peek(p);
+
+  if (
+    (targetToken.type !== "identifier" && targetToken.type !== "number") ||
+    isStatementEnd(p)
+  ) {
+    addError(p, tokenRange(keywordToken), `${type} requires a label.`);
+    return { type: "Unknown", text: keywordToken.text, range: tokenRange(keywordToken) };
+  }
+
+  next(p);
+  return {
+    type,
+    target: targetToken.text,
+    targetRange: tokenRange(targetToken),
+    range: rangeBetween(keywordToken, targetToken),
+  };
+}
+
+function parseExit(p) {
+  const exitToken = next(p);
+  const kindToken = peek(p);
+  const kinds = { FOR: "FOR", DO: "DO", WHILE: "WHILE", SUB: "SUB", FUNCTION: "FUNCTION" };
+  const kind = kindToken.type === "identifier" ? kinds[kindToken.upper] : null;
+
+  if (!kind) {
+    addError(p, tokenRange(exitToken), "Exit requires For, Do, Sub or Function.");
+    skipToStatementEnd(p);
+    return { type: "Unknown", text: sourceText(p, exitToken, previous(p)), range: tokenRange(exitToken) };
+  }
+
+  next(p);
+  const range = rangeBetween(exitToken, kindToken);
+  if (!p.openBlocks.includes(kind)) {
+    addError(p, range, `Exit ${BLOCK_TITLES[kind]} outside of ${BLOCK_TITLES[kind]}.`);
+  }
+  return { type: "Exit", kind, range };
+}
+
+function parseOn(p) {
+  const keywordToken = peek(p);
+  const eventToken = peek(p, 1);
+  const match = eventToken.type === "identifier" ? /^(TIMER|INT|RECV)(\d*)$/.exec(eventToken.upper) : null;
+  if (!match || (match[1] === "TIMER") === Boolean(match[2])) {
+    return parseUnknown(p, "On requires Timer(interval), IntN or RecvN followed by GoSub label.");
+  }
+
+  next(p);
+  next(p);
+  const node = {
+    type: "OnEvent",
+    event: match[1],
+    number: match[2] ? Number.parseInt(match[2], 10) : null,
+    interval: null,
+    keywordRange: rangeBetween(keywordToken, eventToken),
+    target: null,
+    targetRange: null,
+    range: rangeBetween(keywordToken, eventToken),
+  };
+
+  if (node.event === "TIMER") {
+    if (!matchOperator(p, "(")) {
+      addError(p, node.keywordRange, "On Timer requires (interval).");
+      skipToStatementEnd(p);
+      return node;
+    }
+    node.interval = parseExpression(p);
+    if (!matchOperator(p, ")")) {
+      addError(p, tokenRange(peek(p)), "On Timer interval requires closing parenthesis.");
+      skipToStatementEnd(p);
+      return node;
+    }
+  }
+
+  const gosubToken = peek(p);
+  const targetToken = peek(p, 1);
+  if (
+    gosubToken.type !== "identifier" ||
+    gosubToken.upper !== "GOSUB" ||
+    (targetToken.type !== "identifier" && targetToken.type !== "number")
+  ) {
+    addError(p, node.keywordRange, "On event requires GoSub label.");
+    skipToStatementEnd(p);
+    return node;
+  }
+
+  next(p);
+  next(p);
+  node.target = targetToken.text;
+  node.targetRange = tokenRange(targetToken);
+  node.range = rangeBetween(keywordToken, targetToken);
+  return node;
+}
+
+function parseSet(p) {
+  const keywordToken = next(p);
+  const nameToken = next(p);
+  const args = isStatementEnd(p) ? [] : parseArguments(p, null);
+  return {
+    type: "Set",
+    name: nameToken.upper,
+    keywordRange: rangeBetween(keywordToken, nameToken),
+    args,
+    range: rangeBetween(keywordToken, previous(p)),
+  };
+}
+
+function parseLet(p) {
+  const letToken = next(p);
+  const statement = parseAssignmentOrCall(p);
+  if (statement.type !== "Assignment") {
+    addError(p, tokenRange(letToken), "Let requires var = expr.");
+  }
+  statement.range = rangeBetween(letToken, previous(p));
+  return statement;
+}
+
+function parseAssignmentOrCall(p) {
+  const startPos = p.pos;
+  const startToken = peek(p);
+  const target = parsePostfix(p);
+
+  if (isOperator(peek(p), "=") && target.type !== "Missing") {
+    next(p);
+    const value = parseExpression(p);
+    return {
+      type: "Assignment",
+      target,
+      value,
+      range: rangeBetween(startToken, previous(p)),
+    };
+  }
+
+  p.pos = startPos;
+  return parseCall(p, false);
+}
+
+function parseCall(p, explicit) {
+  const startToken = peek(p);
+  if (explicit) {
+    next(p);
+  }
+
+  const nameToken = peek(p);
+  if (nameToken.type !== "identifier") {
+    return parseUnknown(p, "Call requires a procedure name.");
+  }
+  next(p);
+
+  let args = [];
+  const closeIndex = isOperator(peek(p), "(") ? findClosingParen(p, p.pos) : -1;
+  if (closeIndex !== -1 && isStatementEndToken(p, p.tokens[closeIndex + 1])) {
+    next(p);
+    args = parseArguments(p, ")");
+    matchOperator(p, ")");
+  } else if (!isStatementEnd(p)) {
+    args = parseArguments(p, null);
+  }
+
+  return {
+    type: "Call",
+    name: nameToken.value,
+    nameRange: tokenRange(nameToken),
+    args,
+    explicit,
+    text: sourceText(p, startToken, previous(p)),
+    range: rangeBetween(startToken, previous(p)),
+  };
+}
+
+function parseCommand(p) {
+  const keywordToken = next(p);
+  const args = isStatementEnd(p) ? [] : parseArguments(p, null, keywordToken.upper === "PRINT");
+  return {
+    type: "Command",
+    name: keywordToken.upper,
+    keywordRange: tokenRange(keywordToken),
+    args,
+    range: rangeBetween(keywordToken, previous(p)),
+  };
+}
+
+function parseDebug(p) {
+  const keywordToken = next(p);
+  const items = [];
+
+  if (!isStatementEnd(p)) {
+    do {
+      items.push(parseDebugItem(p));
+    } while (matchOperator(p, ","));
+  }
+
+  return {
+    type: "Debug",
+    keywordRange: tokenRange(keywordToken),
+    items,
+    range: rangeBetween(keywordToken, previous(p)),
+  };
+}
+
+function parsePutStr(p) {
+  const keywordToken = next(p);
+  const node = {
+    type: "PutStr",
+    keywordRange: tokenRange(keywordToken),
+    channel: null,
+    items: [],
+    range: tokenRange(keywordToken),
+  };
+
+  if (!isStatementEnd(p)) {
+    node.channel = parseExpression(p);
+    while (matchOperator(p, ",")) {
+      node.items.push(parseDebugItem(p));
+    }
+  }
+
+  node.range = rangeBetween(keywordToken, previous(p));
+  return node;
+}
+
+function parseDebugItem(p) {
+  const token = peek(p);
+  const following = peek(p, 1);
+  const itemEnds = (candidate) =>
+    isStatementEndToken(p, candidate) || isOperator(candidate, ",");
+
+  if (token.type === "identifier" && (token.upper === "CR" || token.upper === "LF") && itemEnds(following)) {
+    next(p);
+    return { kind: "control", name: token.upper, range: tokenRange(token) };
+  }
+
+  const format = token.type === "identifier" ? /^(DEC|HEX)(\d*)$/.exec(token.upper) : null;
+  if (format && !itemEnds(following)) {
+    next(p);
+    const showName = matchOperator(p, "?");
+    const expression = parseExpression(p);
+    return {
+      kind: "format",
+      format: format[1],
+      width: format[2] ? Number.parseInt(format[2], 10) : null,
+      showName,
+      expression,
+      range: rangeBetween(token, previous(p)),
+    };
+  }
+
+  const expression = parseExpression(p);
+  return { kind: "expression", expression, range: expression.range };
+}
+
+function parseArguments(p, closing, allowSemicolon) {
+  const args = [];
+  if (closing && isOperator(peek(p), closing)) {
+    return args;
+  }
+
+  do {
+    args.push(parseExpression(p));
+  } while (matchOperator(p, ",") || (allowSemicolon && matchOperator(p, ";")));
+
+  return args;
+}
+
+function parseUnknown(p, message) {
+  const start = peek(p);
+  addError(p, tokenRange(start), message);
+  skipToStatementEnd(p);
+  const end = previous(p);
+  return {
+    type: "Unknown",
+    text: sourceText(p, start, end),
+    range: rangeBetween(start, end),
+  };
+}
+
+function parseExpression(p) {
+  return parseLevel(p, 0);
+}
+
+function parseLevel(p, level) {
+  if (level >= PRECEDENCE.length) {
+    return parsePostfix(p);
+  }
+
+  const entry = PRECEDENCE[level];
+  if (entry.unary) {
+    const token = peek(p);
+    if (entry.unary.includes(operatorName(token))) {
+      next(p);
+      const argument = parseLevel(p, level);
+      return {
+        type: "Unary",
+        operator: operatorName(token),
+        argument,
+        range: mergeRanges(tokenRange(token), argument.range),
+      };
+    }
+    return parseLevel(p, level + 1);
+  }
+
+  let left = parseLevel(p, level + 1);
+  while (entry.operators.includes(operatorName(peek(p)))) {
+    const operatorToken = next(p);
+    const right = parseLevel(p, level + 1);
+    left = {
+      type: "Binary",
+      operator: operatorName(operatorToken),
+      left,
+      right,
+      range: mergeRanges(left.range, right.range),
+    };
+  }
+  return left;
+}
+
+function parsePostfix(p) {
+  let expression = parsePrimary(p);
+
+  while (isOperator(peek(p), ".") && peek(p, 1).type === "identifier") {
+    next(p);
+    const memberToken = next(p);
+    expression = {
+      type: "Member",
+      object: expression,
+      member: memberToken.value,
+      memberRange: tokenRange(memberToken),
+      range: mergeRanges(expression.range, tokenRange(memberToken)),
+    };
+  }
+
+  return expression;
+}
+
+function parsePrimary(p) {
+  const token = peek(p);
+
+  if (token.type === "number") {
+    next(p);
+    return { type: "Number", value: token.value, raw: token.text, range: tokenRange(token) };
+  }
+
+  if (token.type === "string") {
+    next(p);
+    if (token.unterminated) {
+      addError(p, tokenRange(token), "String is missing closing quote.");
+    }
+    return { type: "String", value: token.value, range: tokenRange(token) };
+  }
+
+  if (isOperator(token, "(")) {
+    next(p);
+    const expression = parseExpression(p);
+    const close = peek(p);
+    if (!matchOperator(p, ")")) {
+      addError(p, tokenRange(token), "Missing closing parenthesis.");
+    }
+    return {
+      type: "Paren",
+      expression,
+      range: mergeRanges(tokenRange(token), tokenRange(isOperator(close, ")") ? close : previous(p))),
+    };
+  }
+
+  if (token.type === "identifier" && !RESERVED_WORDS.has(token.upper)) {
+    next(p);
+    if (isOperator(peek(p), "(")) {
+      next(p);
+      const args = parseArguments(p, ")");
+      const close = peek(p);
+      if (!matchOperator(p, ")")) {
+        addError(p, tokenRange(token), `${token.value} requires a closing parenthesis.`);
+      }
+      return {
+        type: "CallExpression",
+        name: token.value,
+        nameRange: tokenRange(token),
+        args,
+        range: rangeBetween(token, isOperator(close, ")") ? close : previous(p)),
+      };
+    }
+    return { type: "Identifier", name: token.value, range: tokenRange(token) };
+  }
+
+  if (isOperator(token, "-") || isOperator(token, "+")) {
+    next(p);
+    const argument = parsePostfix(p);
+    return {
+      type: "Unary",
+      operator: token.value,
+      argument,
+      range: mergeRanges(tokenRange(token), argument.range),
+    };
+  }
+
+  addError(p, tokenRange(token), "Expected expression.");
+  return { type: "Missing", range: tokenRange(token) };
+}
+
+function operatorName(token) {
+  if (token.type === "operator") {
+    return token.value;
+  }
+  if (token.type === "identifier") {
+    return token.upper;
+  }
+  return null;
+}
+
+function finishLine(p) {
+  let comment;
+  if (peek(p).type === "comment") {
+    comment = next(p).value;
+  }
+
+  const token = peek(p);
+  if (token.type !== "newline" && token.type !== "eof" && !isOperator(token, ":")) {
+    addError(p, tokenRange(token), `Unexpected '${token.text}'.`);
+    skipToStatementEnd(p);
+    if (peek(p).type === "comment") {
+      comment = next(p).value;
+    }
+  }
+
+  if (matchOperator(p, ":")) {
+    return comment;
+  }
+  if (peek(p).type === "newline") {
+    next(p);
+  }
+  return comment;
+}
+
+function attachComment(statement, comment) {
+  if (comment === undefined) {
+    return;
+  }
+  if (isBlockStatement(statement)) {
+    statement.endComment = comment;
+  } else {
+    statement.comment = comment;
+  }
+}
+
+function isBlockStatement(statement) {
+  return BLOCK_STATEMENTS.has(statement.type) && !statement.inline;
+}
+
+function skipToStatementEnd(p) {
+  while (!atLineEnd(p) && !isOperator(peek(p), ":")) {
+    next(p);
+  }
+}
+
+function skipLine(p) {
+  skipToStatementEnd(p);
+  if (peek(p).type === "comment") {
+    next(p);
+  }
+  if (peek(p).type === "newline") {
+    next(p);
+  }
+}
+
+function atLineEnd(p) {
+  return ["newline", "eof", "comment"].includes(peek(p).type);
+}
+
+function isStatementEnd(p) {
+  return isStatementEndToken(p, peek(p));
+}
+
+function isStatementEndToken(p, token) {
+  if (!token || ["newline", "eof", "comment"].includes(token.type) || isOperator(token, ":")) {
+    return true;
+  }
+  return p.inlineIf > 0 && token.type === "identifier" && token.upper === "ELSE";
+}
+
+function isLineStart(p) {
+  const before = p.tokens[p.pos - 1];
+  return !before || before.type === "newline";
+}
+
+function findClosingParen(p, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < p.tokens.length; i += 1) {
+    const token = p.tokens[i];
+    if (token.type === "newline" || token.type === "eof") {
+      return -1;
+    }
+    if (isOperator(token, "(")) {
+      depth += 1;
+    } else if (isOperator(token, ")")) {
+      depth -= 1;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function peek(p, offset = 0) {
+  const index = Math.min(p.pos + offset, p.tokens.length - 1);
+  return p.tokens[index];
+}
+
+function previous(p) {
+  return p.tokens[Math.max(0, p.pos - 1)];
+}
+
+function next(p) {
+  const token = p.tokens[p.pos];
+  if (p.pos < p.tokens.length - 1) {
+    p.pos += 1;
+  }
+  return token;
+}
+
+function isOperator(token, value) {
+  return token.type === "operator" && token.value === value;
+}
+
+function matchOperator(p, value) {
+  if (isOperator(peek(p), value)) {
+    next(p);
+    return true;
+  }
+  return false;
+}
+
+function matchWord(p, word) {
+  const token = peek(p);
+  if (token.type === "identifier" && token.upper === word) {
+    next(p);
+    return true;
+  }
+  return false;
+}
+
+function addError(p, range, message, always, severity = "error") {
+  const generic = message === "Expected expression." || message.startsWith("Unexpected ");
+  if (generic && !always) {
+    if (p.errorLine === range.start.line) {
+      return;
+    }
+    p.errorLine = range.start.line;
+  }
+  p.diagnostics.push({ severity, range, message });
+}
+
+function sourceText(p, startToken, endToken) {
+  if (startToken.line !== endToken.line) {
+    return p.lines[startToken.line].slice(startToken.start).trim();
+  }
+  return p.lines[startToken.line].slice(startToken.start, Math.max(startToken.end, endToken.end));
+}
+
+function walk(node, visit) {
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      walk(item, visit);
+    }
+    return;
+  }
+  if (!node || typeof node !== "object") {
+    return;
+  }
+  if (node.type) {
+    visit(node);
+  }
+  for (const key of Object.keys(node)) {
+    if (key !== "range" && node[key] && typeof node[key] === "object") {
+      walk(node[key], visit);
+    }
+  }
+}
+
+function tokenRange(token) {
+  return makeRange(token.line, token.start, token.line, token.end);
+}
+
+function rangeBetween(startToken, endToken) {
+  if (endToken.line < startToken.line || (endToken.line === startToken.line && endToken.end < startToken.start)) {
+    return tokenRange(startToken);
+  }
+  return makeRange(startToken.line, startToken.start, endToken.line, endToken.end);
+}
+
+function mergeRanges(first, second) {
+  return { start: first.start, end: second.end };
+}
+
+function makeRange(startLine, startCharacter, endLine, endCharacter) {
+  return {
+    start: { line: startLine, character: startCharacter },
+    end: { line: endLine, character: endCharacter },
+  };
+}
+
+function isKeyword(name) {
+  return KEYWORDS.has(name.toUpperCase());
+}
+
+module.exports = {
+  parseProgram,
+  isKeyword,
+  walk,
+};
@@ -0,0 +1,397 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { isKeyword, parseProgram } = require("./parser");
+
+const DIRECTIVE = /^\s*([#$])\s*([A-Za-z]+)\b(.*)$/;
+const IGNORED_DIRECTIVES = ["DYNAMIC", "STATIC", "COMPILE", "ERROR", "LIB"];
+const MAX_DEFINE_DEPTH = 16;
+
+function preprocess(text, filePath, options = {}) {
+  const rootPath = path.resolve(filePath);
+  const state = {
+    rootLines: text.split(/\r?\n/),
+    sources: [rootPath],
+    output: [],
+    lines: [],
+    diagnostics: [],
+    defines: new Map(),
+    stack: [],
+    included: new Set([rootPath]),
+    readFile: options.readFile || ((file) => fs.readFileSync(file, "utf8")),
+  };
+
+  processFile(state, text, 0, null);
+
+  const result = {
+    text: state.output.join("\n"),
+    lines: state.lines,
+    sources: state.sources,
+    rootLines: state.rootLines,
+    diagnostics: [],
+  };
+  result.diagnostics = mapDiagnostics(result, state.diagnostics);
+  return result;
+}
+
+function processFile(state, text, source, rootLine) {
+  const conditions = [];
+  state.stack.push(state.sources[source]);
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const origin = { source, line: index, root: rootLine === null ? index : rootLine };
+    const active = conditions.every((condition) => condition.active);
+    const match = DIRECTIVE.exec(line);
+    if (!match) {
+      let expanded = { text: active ? line : "", edits: [] };
+      if (active) {
+        try {
+          expanded = expandDefines(line, state.defines, 0);
+        } catch (error) {
+          addError(state, { outputLine: state.output.length, length: line.length }, `This line ${error.message}`);
+        }
+      }
+      if (expanded.edits.length > 0) {
+        origin.edits = expanded.edits;
+      }
+      emit(state, expanded.text, origin);
+      return;
+    }
+    emit(state, "", origin);
+    const directive = {
+      prefix: match[1],
+      name: match[2].toUpperCase(),
+      argument: stripComment(match[3]).trim(),
+      outputLine: state.output.length - 1,
+      length: line.length,
+    };
+    processDirective(state, directive, conditions, active);
+  });
+
+  for (const condition of conditions) {
+    addError(state, condition.directive, "Missing #endif for #if.");
+  }
+  state.stack.pop();
+}
+
+function processDirective(state, directive, conditions, active) {
+  const current = conditions[conditions.length - 1];
+  switch (directive.name) {
+    case "INCLUDE":
+      if (active) {
+        includeFile(state, directive);
+      }
+      return;
+    case "DEFINE":
+      if (active) {
+        const match = /^([A-Za-z_]\w*)\s*(.*)$/.exec(directive.argument);
+        if (!match) {
+          addError(state, directive, "#define requires a name.");
+        } else if (isKeyword(match[1])) {
+          addError(state, directive, `#define cannot redefine the keyword ${match[1]}.`);
+        } else {
+          state.defines.set(match[1].toUpperCase(), match[2]);
+        }
+      }
+      return;
+    case "UNDEF":
+      if (active) {
+        state.defines.delete(directive.argument.toUpperCase());
+      }
+      return;
+    case "IF": {
+      const value = active && evaluateDirective(state, directive);
+      conditions.push({ directive, active: value, taken: value, parentActive: active, hasElse: false });
+      return;
+    }
+    case "ELSEIF":
+    case "ELSE":
+      if (!current) {
+        addError(state, directive, `#${directive.name.toLowerCase()} without #if.`);
+        return;
+      }
+      if (current.hasElse) {
+        addError(state, directive, `#${directive.name.toLowerCase()} after #else.`);
+        return;
+      }
+      if (directive.name === "ELSE") {
+        current.hasElse = true;
+        current.active = current.parentActive && !current.taken;
+      } else {
+        current.active = current.parentActive && !current.taken && evaluateDirective(state, directive);
+      }
+      current.taken = current.taken || current.active;
+      return;
+    case "ENDIF":
+      if (!current) {
+        addError(state, directive, "#endif without #if.");
+        return;
+      }
+      conditions.pop();
+      return;
+    default:
+      if (active && directive.prefix === "$" && IGNORED_DIRECTIVES.includes(directive.name)) {
+        addDiagnostic(state, "warning", directive, `$${directive.name.toLowerCase()} is not supported and was ignored.`);
+      } else if (active) {
+        addError(state, directive, `Unknown directive ${directive.prefix}${directive.name.toLowerCase()}.`);
+      }
+  }
+}
+
+function includeFile(state, directive) {
+  const match = /^"([^"]+)"$|^<([^>]+)>$|^(\S+)$/.exec(directive.argument);
+  if (!match) {
+    addError(state, directive, "#include requires a file name.");
+    return;
+  }
+
+  const name = match[1] || match[2] || match[3];
+  const current = state.stack[state.stack.length - 1];
+  const target = path.resolve(path.dirname(current), name);
+  const cycle = state.stack.indexOf(target);
+  if (cycle >= 0) {
+    const chain = [...state.stack.slice(cycle), target].map((file) => path.basename(file)).join(" -> ");
+    addError(state, directive, `Include cycle: ${chain}.`);
+    return;
+  }
+  if (state.included.has(target)) {
+    return;
+  }
+
+  let text;
+  try {
+    text = state.readFile(target);
+  } catch (error) {
+    addError(state, directive, `Cannot read include file '${name}'.`);
+    return;
+  }
+  state.included.add(target);
+  state.sources.push(target);
+  const origin = state.lines[directive.outputLine];
+  processFile(state, text, state.sources.length - 1, origin.root);
+}
+
+function evaluateDirective(state, directive) {
+  try {
+    return truthy(evaluateExpression(directive.argument, state.defines, 0));
+  } catch (error) {
+    addError(state, directive, `#${directive.name.toLowerCase()} ${error.message}`);
+    return false;
+  }
+}
+
+function evaluateExpression(text, defines, depth) {
+  if (depth > MAX_DEFINE_DEPTH) {
+    throw new Error("expands defines too deeply.");
+  }
+  const { ast, diagnostics } = parseProgram(`CONDITION = ${text}`);
+  const statement = ast.body[0];
+  if (!text || diagnostics.length > 0 || ast.body.length !== 1 || statement.type !== "Assignment") {
+    throw new Error("requires a constant expression.");
+  }
+  return evaluateNode(statement.value, defines, depth);
+}
+
+function evaluateNode(node, defines, depth) {
+  switch (node.type) {
+    case "Number":
+    case "String":
+      return node.value;
+    case "Paren":
+      return evaluateNode(node.expression, defines, depth);
+    case "Identifier": {
+      const value = defines.get(node.name.toUpperCase());
+      if (value === undefined) {
+        return 0;
+      }
+      return value.trim() === "" ? 1 : evaluateExpression(value, defines, depth + 1);
+    }
+    case "CallExpression":
+      if (node.name.toUpperCase() === "DEFINED" && node.args.length === 1 && node.args[0].type === "Identifier") {
+        return defines.has(node.args[0].name.toUpperCase()) ? 1 : 0;
+      }
+      break;
+    case "Unary": {
+      const value = evaluateNode(node.argument, defines, depth);
+      if (node.operator === "NOT") {
+        return truthy(value) ? 0 : 1;
+      }
+      return node.operator === "-" ? -value : value;
+    }
+    case "Binary":
+      return evaluateBinary(node, defines, depth);
+    default:
+      break;
+  }
+  throw new Error("requires a constant expression.");
+}
+
+function evaluateBinary(node, defines, depth) {
+  const left = evaluateNode(node.left, defines, depth);
+  const right = evaluateNode(node.right, defines, depth);
+  switch (node.operator) {
+    case "AND":
+      return truthy(left) && truthy(right) ? 1 : 0;
+    case "OR":
+      return truthy(left) || truthy(right) ? 1 : 0;
+    case "XOR":
+      return truthy(left) !== truthy(right) ? 1 : 0;
+    case "=":
+      return left === right ? 1 : 0;
+    case "<>":
+      return left !== right ? 1 : 0;
+    case "<":
+      return left < right ? 1 : 0;
+    case ">":
+      return left > right ? 1 : 0;
+    case "<=":
+      return left <= right ? 1 : 0;
+    case ">=":
+      return left >= right ? 1 : 0;
+    case "+":
+      return left + right;
+    case "-":
+      return left - right;
+    case "*":
+      return left * right;
+    default:
+      throw new Error(`does not support operator ${node.operator}.`);
+  }
+}
+
+function truthy(value) {
+  return typeof value === "string" ? value !== "" : value !== 0;
+}
+
+// Returns the expanded line and one edit per replaced name ({ at, length } in the expanded text,
+// { sourceAt, sourceLength } in the original) so columns can be mapped back with mapColumn. Values
+// are expanded again, like names in #if expressions, up to MAX_DEFINE_DEPTH levels.
+function expandDefines(line, defines, depth) {
+  if (depth > MAX_DEFINE_DEPTH) {
+    throw new Error("expands defines too deeply.");
+  }
+  const edits = [];
+  if (defines.size === 0) {
+    return { text: line, edits };
+  }
+  let result = "";
+  let i = 0;
+  while (i < line.length) {
+    const ch = line[i];
+    if (ch === "'") {
+      return { text: result + line.slice(i), edits };
+    }
+    if (ch === '"') {
+      const end = line.indexOf('"', i + 1);
+      const stop = end < 0 ? line.length : end + 1;
+      result += line.slice(i, stop);
+      i = stop;
+      continue;
+    }
+    const word = /^[A-Za-z_]\w*/.exec(line.slice(i));
+    if (word) {
+      const define = defines.get(word[0].toUpperCase());
+      const value = define === undefined ? word[0] : expandDefines(define, defines, depth + 1).text;
+      if (value !== word[0]) {
+        edits.push({ at: result.length, length: value.length, sourceAt: i, sourceLength: word[0].length });
+      }
+      result += value;
+      i += word[0].length;
+      continue;
+    }
+    result += ch;
+    i += 1;
+  }
+  return { text: result, edits };
+}
+
+// Maps a column of an expanded line back to the original line. Columns inside a replacement map to
+// the start of the replaced name, or to its end for the end of a range.
+function mapColumn(origin, character, isEnd = false) {
+  let shift = 0;
+  for (const edit of (origin && origin.edits) || []) {
+    if (character <= edit.at) {
+      break;
+    }
+    if (character < edit.at + edit.length) {
+      return isEnd ? edit.sourceAt + edit.sourceLength : edit.sourceAt;
+    }
+    shift = edit.sourceAt + edit.sourceLength - (edit.at + edit.length);
+  }
+  return character + shift;
+}
+
+function stripComment(text) {
+  let inString = false;
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === '"') {
+      inString = !inString;
+    } else if (text[i] === "'" && !inString) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function emit(state, text, origin) {
+  state.output.push(text);
+  state.lines.push(origin);
+}
+
+function addError(state, directive, message) {
+  addDiagnostic(state, "error", directive, message);
+}
+
+function addDiagnostic(state, severity, directive, message) {
+  state.diagnostics.push({
+    severity,
+    range: {
+      start: { line: directive.outputLine, character: 0 },
+      end: { line: directive.outputLine, character: directive.length },
+    },
+    message,
+    code: "preprocessor",
+  });
+}
+
+function mapDiagnostics(preprocessed, diagnostics) {
+  return diagnostics.map((diagnostic) => ({ ...diagnostic, ...mapRange(preprocessed, diagnostic.range, diagnostic.message) }));
+}
+
+function mapRange(preprocessed, range, message) {
+  const start = preprocessed.lines[range.start.line];
+  if (!start) {
+    return { range, message };
+  }
+  if (start.source === 0) {
+    const end = preprocessed.lines[range.end.line];
+    const startCharacter = mapColumn(start, range.start.character);
+    return {
+      range: {
+        start: { line: start.line, character: startCharacter },
+        end:
+          end && end.source === 0
+            ? { line: end.line, character: mapColumn(end, range.end.character, true) }
+            : { line: start.line, character: startCharacter },
+      },
+      message,
+    };
+  }
+
+  const rootText = preprocessed.rootLines[start.root] || "";
+  const file = path.relative(path.dirname(preprocessed.sources[0]), preprocessed.sources[start.source]);
+  return {
+    range: {
+      start: { line: start.root, character: 0 },
+      end: { line: start.root, character: rootText.length },
+    },
+    message: `${file.replace(/\\/g, "/")}:${start.line + 1}: ${message}`,
+  };
+}
+
+module.exports = {
+  preprocess,
+  mapDiagnostics,
+  mapColumn,
+};
@@ -0,0 +1,493 @@
+# CUBLOC BASIC runtime support for generated MicroPython code.
+# Shipped with the VS Code extension and uploaded by the debug adapter.
+# Peripherals other than Pin are imported where they are first used, so a port that lacks one
+# (or builds it differently) only fails in programs that use it.
+
+from machine import Pin
+
+__version__ = "1.10.0"
+
+# Maps CUBLOC ports to board pins (numbers or names). Once any port is mapped, unmapped ports are errors.
+PORT_PINS = {}
+# Maps CUBLOC serial channels to MicroPython UART ids; unmapped channels use the same number.
+UART_IDS = {}
+# Maps CUBLOC A/D and PWM channels to pin numbers; unmapped channels use the same number.
+ADC_PINS = {}
+PWM_PINS = {}
+
+# CUBLOC derives PWM and Freqout frequencies from these clocks.
+PWM_CLOCK = 18432000
+FREQOUT_CLOCK = 4608000
+TADIN_SAMPLES = 10
+# Resolution of ADC.read() on ports without read_u16 (12 bits on ESP32 and STM32); Adin returns 10 bits.
+ADC_BITS = 12
+I2C_FREQ = 100000
+SPI_FREQ = 1000000
+
+# Maps hardware SPI bus ids to their (sck, mosi, miso) pins. ShiftOut and ShiftIn of whole bytes use
+# the bus whose pins match the clock and data ports; other shifts are bit-banged.
+SPI_BUSES = {}
+
+# Eewrite/Eeread emulate a byte-addressable EEPROM stored in this file.
+EEPROM_FILE = "cubloc_eeprom.bin"
+EEPROM_SIZE = 4096
+
+# On Timer uses this hardware timer (-1 is a virtual timer where supported); On Recv polls UARTs.
+TIMER_ID = -1
+RECV_POLL_MS = 10
+# Maps CUBLOC external interrupt numbers to pin numbers; unmapped interrupts use the same number.
+INT_PINS = {}
+
+_pins_out = {}
+_pins_in = {}
+_uarts = {}
+_adcs = {}
+_pwms = {}
+_i2c = None
+_spis = {}
+_eeprom = None
+_timers = {}
+_int_pins = {}
+_int_modes = {}
+_int_handlers = {}
+_recv_handlers = {}
+_event_enabled = {}
+_event_busy = {}
+
+
+def _board(ports=None, adc=None, pwm=None, uart=None, interrupts=None, spi=None):
+    # Called by generated code with the mappings from the selected board profile.
+    for table, values in (
+        (PORT_PINS, ports),
+        (ADC_PINS, adc),
+        (PWM_PINS, pwm),
+        (UART_IDS, uart),
+        (INT_PINS, interrupts),
+        (SPI_BUSES, spi),
+    ):
+        if values:
+            table.update(values)
+
+
+def _port_pin(port):
+    port = int(port)
+    if not PORT_PINS:
+        return port
+    if port not in PORT_PINS:
+        raise ValueError("port %d is not available on this board" % port)
+    return PORT_PINS[port]
+
+
+def _gpio_out(port, value=None):
+    port = int(port)
+    pin = _pins_out.get(port)
+    if pin is None:
+        pin = Pin(_port_pin(port), Pin.OUT)
+        _pins_out[port] = pin
+    if value is not None:
+        pin.value(1 if value else 0)
+
+
+def _gpio_in(port):
+    port = int(port)
+    pin = _pins_in.get(port)
+    if pin is None:
+        pin = Pin(_port_pin(port), Pin.IN)
+        _pins_in[port] = pin
+    return pin.value()
+
+
+def create_array(dimensions, value):
+    result = value
+    for size in reversed(dimensions):
+        result = [result for _ in range(int(size))]
+    return result
+
+
+def _idiv(a, b):
+    q = abs(a) // abs(b)
+    return q if (a < 0) == (b < 0) else -q
+
+
+def _imod(a, b):
+    return a - b * _idiv(a, b)
+
+
+def _byte(value):
+    return int(value) & 0xFF
+
+
+def _integer(value):
+    return int(value) & 0xFFFF
+
+
+def _long(value):
+    value = int(value) & 0xFFFFFFFF
+    return value - 0x100000000 if value & 0x80000000 else value
+
+
+def _opencom(channel, baudrate, protocol=3, recv_size=64, send_size=64):
+    from machine import UART
+    bits = (protocol & 3) + 5
+    parity = {2: 0, 3: 1}.get((protocol >> 3) & 3)
+    stop = 2 if protocol & 4 else 1
+    uart_id = UART_IDS.get(channel, channel)
+    try:
+        uart = UART(uart_id, baudrate=baudrate, bits=bits, parity=parity, stop=stop,
+                    rxbuf=recv_size, txbuf=send_size)
+    except (TypeError, ValueError):
+        uart = UART(uart_id, baudrate=baudrate, bits=bits, parity=parity, stop=stop)
+    _uarts[channel] = uart
+
+
+def _uart(channel):
+    uart = _uarts.get(channel)
+    if uart is None:
+        raise RuntimeError("serial channel %d is not open; call OpenCom first" % channel)
+    return uart
+
+
+def _put(channel, value, length=1):
+    value = int(value)
+    data = bytearray(length)
+    for i in range(length):
+        data[i] = (value >> (8 * i)) & 0xFF
+    _uart(channel).write(data)
+
+
+def _get(channel, length=1):
+    uart = _uart(channel)
+    if uart.any() < length:
+        return 0
+    value = 0
+    for i, byte in enumerate(uart.read(length)):
+        value |= byte << (8 * i)
+    return value
+
+
+def _putstr(channel, *parts):
+    _uart(channel).write("".join(str(part) for part in parts))
+
+
+def _getstr(channel, length):
+    uart = _uart(channel)
+    count = min(uart.any(), length)
+    if count <= 0:
+        return ""
+    return "".join(chr(byte) for byte in uart.read(count))
+
+
+def _bclear(channel, buffer=0):
+    uart = _uart(channel)
+    if buffer in (0, 2):
+        while uart.any():
+            uart.read()
+
+
+def _blen(channel, buffer=0):
+    if buffer == 0:
+        return _uart(channel).any()
+    return 0
+
+
+def _adc(channel):
+    adc = _adcs.get(channel)
+    if adc is None:
+        from machine import ADC
+        pin = ADC_PINS.get(channel)
+        adc = ADC(Pin(pin)) if pin is not None else ADC(channel)
+        _adcs[channel] = adc
+    return adc
+
+
+def _adin(channel):
+    adc = _adc(channel)
+    if hasattr(adc, "read_u16"):
+        return adc.read_u16() >> 6
+    return adc.read() >> (ADC_BITS - 10)
+
+
+def _tadin(channel):
+    total = 0
+    for _ in range(TADIN_SAMPLES):
+        total += _adin(channel)
+    return total // TADIN_SAMPLES
+
+
+def _pwm_output(channel):
+    pwm = _pwms.get(channel)
+    if pwm is None:
+        from machine import PWM
+        pwm = PWM(Pin(PWM_PINS.get(channel, channel)))
+        _pwms[channel] = pwm
+    return pwm
+
+
+def _pwm(channel, duty, period):
+    period = max(1, int(period))
+    duty = min(max(0, int(duty)), period)
+    pwm = _pwm_output(channel)
+    pwm.freq(max(1, PWM_CLOCK // period))
+    pwm.duty_u16(duty * 65535 // period)
+
+
+def _pwmoff(channel):
+    pwm = _pwms.pop(channel, None)
+    if pwm is not None:
+        pwm.deinit()
+
+
+def _freqout(channel, value):
+    pwm = _pwm_output(channel)
+    pwm.freq(max(1, FREQOUT_CLOCK // (int(value) + 1)))
+    pwm.duty_u16(32768)
+
+
+def _set_i2c(sda_port, scl_port):
+    global _i2c
+    try:
+        from machine import SoftI2C as I2C
+    except ImportError:
+        from machine import I2C
+    _i2c = I2C(scl=Pin(_port_pin(scl_port)), sda=Pin(_port_pin(sda_port)), freq=I2C_FREQ)
+
+
+def _i2c_bus():
+    if _i2c is None:
+        raise RuntimeError("I2C is not configured; call Set I2c first")
+    return _i2c
+
+
+def _i2cstart():
+    _i2c_bus().start()
+
+
+def _i2cstop():
+    _i2c_bus().stop()
+
+
+def _i2cwrite(value):
+    acks = _i2c_bus().write(bytes((int(value) & 0xFF,)))
+    return 0 if acks == 1 else 1
+
+
+def _i2cread(dummy=0):
+    data = bytearray(1)
+    _i2c_bus().readinto(data, False)
+    return data[0]
+
+
+def _i2creadna(dummy=0):
+    data = bytearray(1)
+    _i2c_bus().readinto(data, True)
+    return data[0]
+
+
+def _shift_bits(bits, msb_first):
+    return range(bits - 1, -1, -1) if msb_first else range(bits)
+
+
+def _reverse_bits(value, bits):
+    result = 0
+    for _ in range(bits):
+        result = (result << 1) | (value & 1)
+        value >>= 1
+    return result
+
+
+def _spi_bus(clock_pin, data_pin, output, bits, polarity, phase):
+    for id, (sck, mosi, miso) in SPI_BUSES.items():
+        if sck == clock_pin and (mosi if output else miso) == data_pin:
+            break
+    else:
+        return None
+    if bits % 8:
+        # Bit-banging takes the pins over, so the bus is set up again before its next use.
+        _spis.pop(id, None)
+        return None
+    spi, mode = _spis.get(id, (None, None))
+    if spi is None:
+        from machine import SPI
+        spi = SPI(id)
+    if mode != (polarity, phase):
+        spi.init(baudrate=SPI_FREQ, polarity=polarity, phase=phase)
+    _spis[id] = (spi, (polarity, phase))
+    return spi
+
+
+def _shiftout(clock_port, data_port, mode, value, bits=8):
+    mode = int(mode)
+    value = int(value)
+    bits = int(bits)
+    clock_pin = _port_pin(clock_port)
+    data_pin = _port_pin(data_port)
+    spi = _spi_bus(clock_pin, data_pin, True, bits, 1 if mode == 2 else 0, 0)
+    if spi is not None:
+        if mode == 0:
+            value = _reverse_bits(value, bits)
+        spi.write(bytes([(value >> shift) & 0xFF for shift in range(bits - 8, -1, -8)]))
+        return
+    clock = Pin(clock_pin, Pin.OUT)
+    data = Pin(data_pin, Pin.OUT)
+    idle = 1 if mode == 2 else 0
+    clock.value(idle)
+    for bit in _shift_bits(bits, mode != 0):
+        data.value((value >> bit) & 1)
+        clock.value(1 - idle)
+        clock.value(idle)
+
+
+def _shiftin(clock_port, data_port, mode, bits=8):
+    mode = int(mode)
+    bits = int(bits)
+    clock_pin = _port_pin(clock_port)
+    data_pin = _port_pin(data_port)
+    spi = _spi_bus(clock_pin, data_pin, False, bits, 0, 1 if mode >= 2 else 0)
+    if spi is not None:
+        value = 0
+        for byte in spi.read(bits // 8):
+            value = (value << 8) | byte
+        return value if mode in (1, 3) else _reverse_bits(value, bits)
+    clock = Pin(clock_pin, Pin.OUT)
+    data = Pin(data_pin, Pin.IN)
+    clock.value(0)
+    value = 0
+    for bit in _shift_bits(bits, mode in (1, 3)):
+        clock.value(1)
+        if mode < 2:
+            value |= data.value() << bit
+        clock.value(0)
+        if mode >= 2:
+            value |= data.value() << bit
+    return value
+
+
+def _eeprom_data():
+    global _eeprom
+    if _eeprom is None:
+        try:
+            with open(EEPROM_FILE, "rb") as f:
+                _eeprom = bytearray(f.read(EEPROM_SIZE))
+        except OSError:
+            _eeprom = bytearray()
+        if len(_eeprom) < EEPROM_SIZE:
+            _eeprom.extend(b"\xff" * (EEPROM_SIZE - len(_eeprom)))
+    return _eeprom
+
+
+def _eeprom_range(address, length):
+    address = int(address)
+    length = int(length)
+    if address < 0 or length < 1 or address + length > EEPROM_SIZE:
+        raise IndexError("EEPROM address %d is out of range" % address)
+    return address, length
+
+
+def _eewrite(address, value, length=1):
+    address, length = _eeprom_range(address, length)
+    data = _eeprom_data()
+    value = int(value)
+    for i in range(length):
+        data[address + i] = (value >> (8 * i)) & 0xFF
+    try:
+        with open(EEPROM_FILE, "r+b") as f:
+            f.seek(address)
+            f.write(data[address:address + length])
+    except OSError:
+        with open(EEPROM_FILE, "wb") as f:
+            f.write(data)
+
+
+def _eeread(address, length=1):
+    address, length = _eeprom_range(address, length)
+    data = _eeprom_data()
+    value = 0
+    for i in range(length):
+        value |= data[address + i] << (8 * i)
+    return value
+
+
+def _dispatch(key, handler):
+    # Events are dropped while disabled or while their previous handler is still running.
+    if not _event_enabled.get(key, True) or _event_busy.get(key):
+        return
+    _event_busy[key] = True
+    try:
+        handler()
+    finally:
+        _event_busy[key] = False
+
+
+def _timer(key):
+    timer = _timers.get(key)
+    if timer is None:
+        from machine import Timer
+        try:
+            timer = Timer(TIMER_ID)
+        except (ValueError, OSError):
+            timer = Timer(len(_timers))
+        _timers[key] = timer
+    return timer
+
+
+def _on_timer(interval, handler):
+    # CUBLOC timer intervals count in 10 ms units.
+    timer = _timer("timer")
+    timer.deinit()
+    timer.init(
+        period=max(1, int(interval)) * 10,
+        mode=timer.PERIODIC,
+        callback=lambda t: _dispatch("timer", handler),
+    )
+
+
+def _set_int(number, mode):
+    number = int(number)
+    _int_modes[number] = int(mode)
+    if number in _int_handlers:
+        _arm_int(number)
+
+
+def _on_int(number, handler):
+    number = int(number)
+    _int_handlers[number] = handler
+    _arm_int(number)
+
+
+def _arm_int(number):
+    key = "int%d" % number
+    handler = _int_handlers[number]
+    trigger = {
+        0: Pin.IRQ_FALLING,
+        1: Pin.IRQ_RISING,
+        2: Pin.IRQ_FALLING | Pin.IRQ_RISING,
+    }.get(_int_modes.get(number, 0), Pin.IRQ_FALLING)
+    pin = _int_pins.get(number)
+    if pin is None:
+        pin = Pin(INT_PINS.get(number, number), Pin.IN)
+    pin.irq(trigger=trigger, handler=lambda p: _dispatch(key, handler))
+    _int_pins[number] = pin
+
+
+def _poll_recv(timer):
+    for channel, handler in _recv_handlers.items():
+        if _uart(channel).any():
+            _dispatch("recv%d" % channel, handler)
+
+
+def _on_recv(channel, handler):
+    channel = int(channel)
+    _uart(channel)
+    _recv_handlers[channel] = handler
+    if len(_recv_handlers) == 1:
+        timer = _timer("recv")
+        timer.init(period=RECV_POLL_MS, mode=timer.PERIODIC, callback=_poll_recv)
+
+
+def _set_event(key, enabled):
+    _event_enabled[key] = bool(enabled)
+
+
+class _Jump(Exception):
+    def __init__(self, target):
+        self.target = target
@@ -0,0 +1,371 @@
+# CUBLOC BASIC host simulator for generated code transpiled with the "simulate" target.
+# Importing this module installs a stub `machine` module and virtual time into desktop CPython.
+#
+# The stimulus file named by CUBLOC_STIMULUS drives the simulation, one event per line:
+#
+#   <ms> pin <pin> <0|1>          set an input pin (board pin; the CUBLOC port without a board profile)
+#   <ms> adc <pin> <0..1023>      set the value read by the A/D converter on a pin or channel
+#   <ms> uart <id> "<text>"       receive text on a UART (Python escapes such as \r are allowed)
+#   <ms> expect pin <pin> <0|1>   fail unless the pin currently has this value
+#   <ms> expect uart <id> "<text>"  fail unless the UART has sent this text
+#   <ms> end                      stop the program
+#
+# Times are milliseconds of virtual time since the program started; lines starting with # are ignored.
+# Virtual time advances while the program sleeps (Delay) and by POLL_MS on every pin, A/D or UART
+# read, so timers fire between statements and polling loops without Delay still reach later events.
+# Set CUBLOC_SIM_TRACE=1 to log output pin, PWM, UART, I2C and SPI activity to stderr.
+
+import atexit
+import os
+import shlex
+import sys
+import time
+import types
+
+__version__ = "1.2.0"
+
+POLL_MS = 1
+
+_now = 0
+_events = []
+_timers = []
+_pins = {}
+_irqs = {}
+_adc_values = {}
+_uarts = {}
+_advancing = False
+_trace = os.environ.get("CUBLOC_SIM_TRACE") == "1"
+
+
+class StimulusError(Exception):
+    pass
+
+
+def _log(message):
+    if _trace:
+        sys.stderr.write("[%6d ms] %s\n" % (_now, message))
+
+
+def _pin_id(text):
+    return int(text) if text.lstrip("-").isdigit() else text
+
+
+def _unescape(text):
+    return text.encode("latin-1", "backslashreplace").decode("unicode_escape").encode("latin-1")
+
+
+def _parse_event(words, where):
+    if len(words) < 2 or not words[0].isdigit():
+        raise StimulusError("%s: expected '<ms> <action> ...'" % where)
+    at, action, args = int(words[0]), words[1], words[2:]
+    shapes = {"pin": 2, "adc": 2, "uart": 2, "end": 0}
+    if action == "expect":
+        if len(args) != 3 or args[0] not in ("pin", "uart"):
+            raise StimulusError("%s: expected 'expect pin <pin> <value>' or 'expect uart <id> <text>'" % where)
+    elif shapes.get(action) != len(args):
+        raise StimulusError("%s: unknown or malformed action '%s'" % (where, action))
+    return at, action, args
+
+
+def load_stimulus(path):
+    events = []
+    with open(path) as f:
+        for number, line in enumerate(f, 1):
+            words = shlex.split(line, comments=True)
+            if words:
+                events.append(_parse_event(words, "%s:%d" % (path, number)))
+    events.sort(key=lambda event: event[0])
+    return events
+
+
+def _apply(event):
+    at, action, args = event
+    if action == "pin":
+        _drive_pin(_pin_id(args[0]), 1 if int(args[1]) else 0)
+    elif action == "adc":
+        _adc_values[_pin_id(args[0])] = int(args[1])
+    elif action == "uart":
+        _uart_state(int(args[0]))["rx"].extend(_unescape(args[1]))
+    elif action == "expect":
+        _expect(args)
+    elif action == "end":
+        _log("end of stimulus")
+        raise SystemExit(0)
+
+
+def _expect(args):
+    kind, key, expected = args
+    if kind == "pin":
+        actual = _pins.get(_pin_id(key), 0)
+        ok = actual == int(expected)
+        detail = "pin %s is %d, expected %s" % (key, actual, expected)
+    else:
+        sent = bytes(_uart_state(int(key))["tx"])
+        ok = _unescape(expected) in sent
+        detail = "uart %s sent %r, expected %r" % (key, sent, _unescape(expected))
+    if not ok:
+        sys.stderr.write("cubloc_sim: expectation failed at %d ms: %s\n" % (_now, detail))
+        raise SystemExit(1)
+    _log("ok: " + detail.split(",")[0])
+
+
+def _advance(ms):
+    global _now, _advancing
+    target = _now + max(0, int(ms))
+    previous, _advancing = _advancing, True
+    try:
+        _run_until(target)
+    finally:
+        _advancing = previous
+    _now = target
+
+
+def _run_until(target):
+    global _now
+    while True:
+        due = [timer._due for timer in _timers if timer._due is not None and timer._due <= target]
+        if _events and _events[0][0] <= target:
+            due.append(_events[0][0])
+        if not due:
+            break
+        _now = max(_now, min(due))
+        while _events and _events[0][0] <= _now:
+            _apply(_events.pop(0))
+        for timer in list(_timers):
+            if timer._due is not None and timer._due <= _now:
+                timer._fire()
+
+
+def _poll():
+    # Reads from timer and interrupt handlers do not advance time, so a handler cannot re-enter itself.
+    if not _advancing:
+        _advance(POLL_MS)
+
+
+def sleep_ms(ms):
+    _advance(ms)
+
+
+def sleep_us(us):
+    _advance(int(us) // 1000)
+
+
+def ticks_ms():
+    return _now
+
+
+def ticks_us():
+    return _now * 1000
+
+
+def ticks_add(ticks, delta):
+    return ticks + delta
+
+
+def ticks_diff(end, start):
+    return end - start
+
+
+def _drive_pin(pin, value):
+    previous = _pins.get(pin, 0)
+    _pins[pin] = value
+    irq = _irqs.get(pin)
+    if irq and previous != value:
+        trigger, handler = irq
+        edge = Pin.IRQ_RISING if value else Pin.IRQ_FALLING
+        if trigger & edge:
+            handler(Pin(pin))
+
+
+class Pin:
+    IN = 0
+    OUT = 1
+    OPEN_DRAIN = 2
+    PULL_UP = 1
+    PULL_DOWN = 2
+    IRQ_FALLING = 4
+    IRQ_RISING = 8
+
+    def __init__(self, id, mode=None, pull=None, value=None):
+        self.id = id
+        self.mode = mode
+        if pull == Pin.PULL_UP and id not in _pins:
+            _pins[id] = 1
+        if value is not None:
+            self.value(value)
+
+    def value(self, value=None):
+        if value is None:
+            _poll()
+            return _pins.get(self.id, 0)
+        value = 1 if value else 0
+        if _pins.get(self.id, 0) != value or self.id not in _pins:
+            _log("pin %s = %d" % (self.id, value))
+        _pins[self.id] = value
+
+    def on(self):
+        self.value(1)
+
+    def off(self):
+        self.value(0)
+
+    def irq(self, handler=None, trigger=IRQ_FALLING | IRQ_RISING):
+        _irqs[self.id] = (trigger, handler)
+
+
+class ADC:
+    def __init__(self, source):
+        self.id = source.id if isinstance(source, Pin) else source
+
+    def read_u16(self):
+        _poll()
+        return min(1023, max(0, _adc_values.get(self.id, 0))) << 6
+
+
+class PWM:
+    def __init__(self, pin, freq=None, duty_u16=None):
+        self.id = pin.id
+        self._freq = 0
+        self._duty = 0
+
+    def freq(self, value=None):
+        if value is None:
+            return self._freq
+        self._freq = int(value)
+        _log("pwm %s freq %d" % (self.id, self._freq))
+
+    def duty_u16(self, value=None):
+        if value is None:
+            return self._duty
+        self._duty = int(value)
+        _log("pwm %s duty %d/65535" % (self.id, self._duty))
+
+    def deinit(self):
+        _log("pwm %s off" % self.id)
+
+
+def _uart_state(id):
+    return _uarts.setdefault(id, {"rx": bytearray(), "tx": bytearray()})
+
+
+class UART:
+    # Transmitted bytes are looped back into the receive buffer, as with TX wired to RX.
+    def __init__(self, id, baudrate=9600, **kwargs):
+        self.id = id
+        self._state = _uart_state(id)
+        _log("uart %s open at %d baud" % (id, baudrate))
+
+    def write(self, data):
+        if isinstance(data, str):
+            data = data.encode()
+        self._state["tx"].extend(data)
+        self._state["rx"].extend(data)
+        _log("uart %s tx %r" % (self.id, bytes(data)))
+        return len(data)
+
+    def any(self):
+        _poll()
+        return len(self._state["rx"])
+
+    def read(self, count=None):
+        rx = self._state["rx"]
+        if not rx:
+            return None
+        count = len(rx) if count is None else count
+        data = bytes(rx[:count])
+        del rx[:count]
+        return data
+
+
+class SoftI2C:
+    # No devices are attached: writes are not acknowledged and reads return 0xFF.
+    def __init__(self, scl, sda, freq=400000):
+        _log("i2c scl=%s sda=%s" % (scl.id, sda.id))
+
+    def start(self):
+        _log("i2c start")
+
+    def stop(self):
+        _log("i2c stop")
+
+    def write(self, data):
+        _log("i2c write %r" % bytes(data))
+        return 0
+
+    def readinto(self, data, nack=True):
+        for i in range(len(data)):
+            data[i] = 0xFF
+
+
+class SPI:
+    # No device is attached: writes are logged and reads return 0xFF.
+    def __init__(self, id, **kwargs):
+        self.id = id
+
+    def init(self, baudrate=1000000, polarity=0, phase=0, **kwargs):
+        _log("spi %s mode %d%d at %d Hz" % (self.id, polarity, phase, baudrate))
+
+    def write(self, data):
+        _log("spi %s write %r" % (self.id, bytes(data)))
+
+    def read(self, count, write=0):
+        return bytes([0xFF] * count)
+
+
+class Timer:
+    ONE_SHOT = 0
+    PERIODIC = 1
+
+    def __init__(self, id=-1):
+        self._due = None
+        self._period = 0
+        self._mode = Timer.PERIODIC
+        self._callback = None
+        _timers.append(self)
+
+    def init(self, period=1000, mode=PERIODIC, callback=None, freq=None):
+        if freq:
+            period = 1000 // freq
+        self._period = max(1, int(period))
+        self._mode = mode
+        self._callback = callback
+        self._due = _now + self._period
+
+    def deinit(self):
+        self._due = None
+
+    def _fire(self):
+        self._due = _now + self._period if self._mode == Timer.PERIODIC else None
+        if self._callback:
+            self._callback(self)
+
+
+def _report():
+    if _events:
+        sys.stderr.write(
+            "cubloc_sim: program ended at %d ms with %d stimulus event(s) not reached\n" % (_now, len(_events))
+        )
+
+
+def _install():
+    machine = types.ModuleType("machine")
+    for cls in (Pin, ADC, PWM, UART, SoftI2C, SPI, Timer):
+        setattr(machine, cls.__name__, cls)
+    machine.I2C = SoftI2C
+    sys.modules["machine"] = machine
+    for name in ("sleep_ms", "sleep_us", "ticks_ms", "ticks_us", "ticks_add", "ticks_diff"):
+        setattr(time, name, globals()[name])
+
+    path = os.environ.get("CUBLOC_STIMULUS")
+    if path:
+        try:
+            _events.extend(load_stimulus(path))
+        except (OSError, StimulusError) as error:
+            sys.stderr.write("cubloc_sim: %s\n" % error)
+            raise SystemExit(2)
+        while _events and _events[0][0] <= 0:
+            _apply(_events.pop(0))
+    atexit.register(_report)
+
+
+_install()
@@ -6,22 +6,36 @@ const {
   TextDocumentSyncKind,
   DiagnosticSeverity,
 } = require("vscode-languageserver/node");
+const fs = require("fs");
+const path = require("path");
+const { fileURLToPath, pathToFileURL } = require("url");
+const { parseProgram, walk } = require("../parser");
+const { preprocess, mapDiagnostics } = require("../preprocessor");
+const { boardHas, loadBoard } = require("../boards");
+const { resolveBitMember } = require("../bitMembers");
 
 const connection = createConnection(ProposedFeatures.all);
 const documents = new Map();
-const BLOCK_ENDINGS = {
-  IF: "End If",
-  FOR: "Next",
-  DO: "Loop",
-  WHILE: "Wend",
-  SUB: "End Sub",
-  FUNCTION: "End Function",
-  SELECT: "End Select",
-  TYPE: "End Type",
-  WITH: "End With",
+const MAX_STRING_LENGTH = 127;
+const EEPROM_SIZE = 4096;
+const BAUD_RATES = [2400, 4800, 9600, 14400, 19200, 28800, 38400, 57600, 76800, 115200, 230400];
+const BOARD_LABELS = {
+  ports: "Port",
+  adc: "A/D channel",
+  pwm: "PWM channel",
+  uart: "Serial channel",
+  interrupts: "Interrupt",
 };
-
-connection.onInitialize(() => {
+let board = null;
+let workspaceDir = process.cwd();
+const SEVERITIES = {
+  error: DiagnosticSeverity.Error,
+  warning: DiagnosticSeverity.Warning,
+};
+connection.onInitialize((params) => {
+  if (params.rootUri) {
+    workspaceDir = fileURLToPath(params.rootUri);
+  }
   return {
     capabilities: {
       completionProvider: {
@@ -55,11 +69,66 @@ connection.onCompletion(() => {
     { label: "GoTo", kind: 14, detail: "Jump to label" },
     { label: "GoSub", kind: 14, detail: "Call subroutine" },
     { label: "Return", kind: 14, detail: "Return from subroutine" },
+    { label: "Select Case", kind: 14, detail: "Start multi-way branch" },
+    { label: "Case", kind: 14, detail: "Branch of Select Case" },
+    { label: "Case Else", kind: 14, detail: "Default branch of Select Case" },
+    { label: "End Select", kind: 14, detail: "End multi-way branch" },
     { label: "Dim", kind: 14, detail: "Declare array" },
+    { label: "Const", kind: 14, detail: "Declare constant or constant table" },
+    { label: "Sub", kind: 14, detail: "Declare subroutine" },
+    { label: "End Sub", kind: 14, detail: "End subroutine" },
+    { label: "Function", kind: 14, detail: "Declare function" },
+    { label: "End Function", kind: 14, detail: "End function" },
+    { label: "Exit", kind: 14, detail: "Leave loop or procedure" },
+    { label: "Call", kind: 14, detail: "Call subroutine" },
+    { label: "ByVal", kind: 14, detail: "Pass argument by value" },
+    { label: "ByRef", kind: 14, detail: "Pass argument by reference" },
     { label: "End", kind: 14, detail: "End program" },
+    { label: "OpenCom", kind: 14, detail: "Open serial channel" },
+    { label: "Put", kind: 14, detail: "Send bytes on serial channel" },
+    { label: "Get", kind: 3, detail: "Read bytes from serial channel" },
+    { label: "PutStr", kind: 14, detail: "Send text on serial channel" },
+    { label: "GetStr", kind: 3, detail: "Read text from serial channel" },
+    { label: "BClear", kind: 14, detail: "Clear serial buffer" },
+    { label: "BLen", kind: 3, detail: "Bytes waiting in serial buffer" },
+    { label: "Adin", kind: 3, detail: "Read A/D channel (0 to 1023)" },
+    { label: "Tadin", kind: 3, detail: "Read averaged A/D channel (0 to 1023)" },
+    { label: "Pwm", kind: 14, detail: "Start PWM output: channel, duty, period" },
+    { label: "PwmOff", kind: 14, detail: "Stop PWM output" },
+    { label: "Freqout", kind: 14, detail: "Output square wave: channel, frequency value" },
+    { label: "Set I2c", kind: 14, detail: "Select I2C data and clock ports" },
+    { label: "On Timer", kind: 14, detail: "Run a GoSub every interval x 10 ms" },
+    { label: "On Int", kind: 14, detail: "Run a GoSub on an external interrupt" },
+    { label: "On Recv", kind: 14, detail: "Run a GoSub when serial data arrives" },
+    { label: "Set OnTimer", kind: 14, detail: "Enable or disable On Timer" },
+    { label: "Set Int", kind: 14, detail: "Select external interrupt edge" },
+    { label: "I2cStart", kind: 14, detail: "Send I2C start condition" },
+    { label: "I2cStop", kind: 14, detail: "Send I2C stop condition" },
+    { label: "I2cWrite", kind: 3, detail: "Write one byte on I2C; returns 0 on ACK" },
+    { label: "I2cRead", kind: 3, detail: "Read one byte on I2C and ACK it" },
+    { label: "I2cReadNa", kind: 3, detail: "Read one byte on I2C without ACK" },
+    { label: "ShiftOut", kind: 14, detail: "Shift bits out: clock, data, mode, value, bits" },
+    { label: "ShiftIn", kind: 3, detail: "Shift bits in: clock, data, mode, bits" },
+    { label: "Eewrite", kind: 14, detail: "Write to EEPROM: address, value, bytes" },
+    { label: "Eeread", kind: 3, detail: "Read from EEPROM: address, bytes" },
   ];
 });
 
+connection.onDidChangeConfiguration((change) => {
+  const name = change.settings?.cubloc?.board;
+  board = null;
+  if (name) {
+    try {
+      board = loadBoard(name, workspaceDir);
+    } catch (error) {
+      connection.window.showWarningMessage(error.message);
+    }
+  }
+  for (const [uri, text] of documents) {
+    validateText(uri, text);
+  }
+});
+
 connection.onDidOpenTextDocument((params) => {
   documents.set(params.textDocument.uri, params.textDocument.text);
   validateText(params.textDocument.uri, params.textDocument.text);
@@ -71,6 +140,12 @@ connection.onDidChangeTextDocument((params) => {
   validateText(params.textDocument.uri, text);
 });
 
+connection.onDidChangeWatchedFiles(() => {
+  for (const [uri, text] of documents) {
+    validateText(uri, text);
+  }
+});
+
 connection.onDidCloseTextDocument((params) => {
   documents.delete(params.textDocument.uri);
   connection.sendDiagnostics({ uri: params.textDocument.uri, diagnostics: [] });
@@ -104,11 +179,9 @@ connection.onHover((params) => {
 function validateText(uri, text) {
   const diagnostics = [];
   const lines = text.split(/\r?\n/);
-  const stack = [];
 
   for (let i = 0; i < lines.length; i += 1) {
     const line = lines[i];
-    const tokens = getTokens(line);
 
     if (line.length > 120) {
       diagnostics.push({
@@ -134,1075 +207,582 @@ function validateText(uri, text) {
         source: "cubloc-basic",
       });
     }
-
-    if (tokens.length > 0) {
-      validateSyntaxLine(tokens, i, line, diagnostics, stack);
-    }
   }
 
-  while (stack.length > 0) {
-    const open = stack.pop();
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(open.line, open.character, open.character + open.length),
-      message: `Missing ${BLOCK_ENDINGS[open.type] || "End"} for ${formatKeyword(open.type)}.`,
-      source: "cubloc-basic",
-    });
+  // Included files are parsed with the document so their symbols are known; problems found in them
+  // are reported on the #include line. Directive errors themselves come from the transpiler.
+  const preprocessed = preprocess(text, documentPath(uri), { readFile: readDocument });
+  const { ast, diagnostics: syntaxDiagnostics } = parseProgram(preprocessed.text);
+  const expanded = [];
+  for (const diagnostic of syntaxDiagnostics) {
+    addDiagnostic(expanded, diagnostic.severity, diagnostic.range, diagnostic.message);
   }
 
+  validateProgram(ast, expanded);
+  diagnostics.push(...mapDiagnostics(preprocessed, expanded));
   connection.sendDiagnostics({ uri, diagnostics });
 }
 
-function getTokens(line) {
-  const tokens = [];
-  let inString = false;
-
-  for (let i = 0; i < line.length; i += 1) {
-    const ch = line[i];
-
-    if (inString) {
-      if (ch === '"') {
-        if (line[i + 1] === '"') {
-          i += 1;
-        } else {
-          inString = false;
-        }
-      }
-      continue;
-    }
-
-    if (ch === '"') {
-      inString = true;
-      continue;
-    }
-
-    if (ch === "'") {
-      break;
-    }
-
-    if (/[A-Za-z_]/.test(ch)) {
-      const start = i;
-      i += 1;
-      while (i < line.length && /[A-Za-z0-9_]/.test(line[i])) {
-        i += 1;
-      }
-      const word = line.slice(start, i).toUpperCase();
-      if (word === "REM") {
-        break;
-      }
-      tokens.push({ text: word, index: start, length: i - start });
-      i -= 1;
-    }
-  }
-
-  return tokens;
+function documentPath(uri) {
+  return uri.startsWith("file:") ? fileURLToPath(uri) : path.join(workspaceDir, "untitled.cub");
 }
 
-function getWordAt(line, character) {
-  if (character < 0 || character > line.length) {
-    return null;
-  }
-
-  let start = character;
-  while (start > 0 && /[A-Za-z0-9_]/.test(line[start - 1])) {
-    start -= 1;
-  }
-
-  let end = character;
-  while (end < line.length && /[A-Za-z0-9_]/.test(line[end])) {
-    end += 1;
-  }
-
-  if (start === end) {
-    return null;
-  }
-
-  const word = line.slice(start, end);
-  if (!/^[A-Za-z_]/.test(word)) {
-    return null;
-  }
-
-  return word.toUpperCase();
+function readDocument(filePath) {
+  return documents.get(pathToFileURL(filePath).href) ?? fs.readFileSync(filePath, "utf8");
 }
 
-const KEYWORD_TITLE = {
-  IF: "If",
-  THEN: "Then",
-  ELSE: "Else",
-  ELSEIF: "ElseIf",
-  ENDIF: "End If",
-  FOR: "For",
-  TO: "To",
-  STEP: "Step",
-  NEXT: "Next",
-  DO: "Do",
-  LOOP: "Loop",
-  WHILE: "While",
-  WEND: "Wend",
-  UNTIL: "Until",
-  SUB: "Sub",
-  FUNCTION: "Function",
-  TYPE: "Type",
-  WITH: "With",
-  SELECT: "Select",
-  END: "End",
-  GOTO: "GoTo",
-  GOSUB: "GoSub",
-  RETURN: "Return",
-  DIM: "Dim",
-  INPUT: "Input",
-  OUTPUT: "Output",
-  OUT: "Out",
-  DEBUG: "Debug",
-  DELAY: "Delay",
-  PRINT: "Print",
-  LET: "Let",
-  IN: "In",
-  CONST: "Const",
-  OPTION: "Option",
-  DECLARE: "Declare",
-  PUBLIC: "Public",
-  PRIVATE: "Private",
-  SHARED: "Shared",
-  STATIC: "Static",
-  GLOBAL: "Global",
-  LOCAL: "Local",
-  BYVAL: "ByVal",
-  BYREF: "ByRef",
-  ALIAS: "Alias",
-  LIB: "Lib",
-};
-
-function formatKeyword(word) {
-  return KEYWORD_TITLE[word] || word;
+function validateProgram(ast, diagnostics) {
+  validateJumpTargets(ast, diagnostics);
+  const constants = collectConstants(ast);
+  const variableTypes = collectVariableTypes(ast);
+  walk(ast, (node) => {
+    validateBoardUsage(node, diagnostics);
+    if (node.type === "Command") {
+      validateCommand(node, diagnostics);
+    } else if (node.type === "Debug" && node.items.length === 0) {
+      addDiagnostic(diagnostics, "error", node.keywordRange, "Debug requires data.");
+    } else if (node.type === "PutStr" && node.items.length === 0) {
+      addDiagnostic(diagnostics, "error", node.keywordRange, "PutStr requires channel, data.");
+    } else if (node.type === "CallExpression" && node.name.toUpperCase() === "IN") {
+      validateInFunction(node, diagnostics);
+    } else if (node.type === "Set") {
+      validateSet(node, diagnostics);
+    } else if (node.type === "OnEvent") {
+      validateOnEvent(node, diagnostics);
+    } else if (node.type === "CallExpression") {
+      validateSerialFunction(node, diagnostics);
+      validateAnalogFunction(node, diagnostics);
+      validateBusFunction(node, diagnostics);
+    } else if (node.type === "Member") {
+      validateMember(node, variableTypes, diagnostics);
+    } else if (node.type === "Dim") {
+      validateStringLengths(node, constants, diagnostics);
+    } else if (node.type === "Assignment") {
+      validateConstantAssignment(node.target, constants, diagnostics);
+    } else if (node.type === "For" && node.variable) {
+      validateConstantAssignment(node.variable, constants, diagnostics);
+    }
+  });
 }
 
-function validateSyntaxLine(tokens, lineNumber, line, diagnostics, stack) {
-  const first = tokens[0]?.text;
-  const second = tokens[1]?.text;
-  const cleanLine = stripComments(line);
-
-  if (first === "IF") {
-    const thenIndex = tokens.findIndex((token) => token.text === "THEN");
-    if (thenIndex === -1) {
-      diagnostics.push({
-        severity: DiagnosticSeverity.Error,
-        range: makeRange(lineNumber, tokens[0].index, tokens[0].index + tokens[0].length),
-        message: "If without Then.",
-        source: "cubloc-basic",
-      });
-    } else if (thenIndex === tokens.length - 1) {
-      pushBlock(stack, "IF", tokens[0], lineNumber);
-    }
-    return;
-  }
+function addDiagnostic(diagnostics, severity, range, message) {
+  diagnostics.push({
+    severity: SEVERITIES[severity],
+    range,
+    message,
+    source: "cubloc-basic",
+  });
+}
 
-  if (first === "ELSEIF" || (first === "ELSE" && second === "IF")) {
-    if (!hasOpenBlock(stack, "IF")) {
-      diagnostics.push({
-        severity: DiagnosticSeverity.Error,
-        range: makeRange(lineNumber, tokens[0].index, tokens[0].index + tokens[0].length),
-        message: "ElseIf without matching If.",
-        source: "cubloc-basic",
-      });
-    }
+function validateBoardUsage(node, diagnostics) {
+  if (!board) {
     return;
   }
-
-  if (first === "ELSE") {
-    if (!hasOpenBlock(stack, "IF")) {
-      diagnostics.push({
-        severity: DiagnosticSeverity.Error,
-        range: makeRange(lineNumber, tokens[0].index, tokens[0].index + tokens[0].length),
-        message: "Else without matching If.",
-        source: "cubloc-basic",
-      });
+  for (const use of boardUses(node)) {
+    const number = typeof use.value === "number" ? use.value : integerLiteral(use.value);
+    if (number !== null && !boardHas(board, use.capability, number)) {
+      addDiagnostic(
+        diagnostics,
+        "warning",
+        use.value?.range ?? use.range,
+        `${BOARD_LABELS[use.capability]} ${number} is not available on ${board.name}.`
+      );
     }
-    return;
-  }
-
-  if (first === "ENDIF" || (first === "END" && second === "IF")) {
-    popBlock(stack, "IF", tokens[0], lineNumber, diagnostics);
-    return;
   }
+}
 
-  if (first === "FOR") {
-    pushBlock(stack, "FOR", tokens[0], lineNumber);
-    return;
-  }
+function boardUses(node) {
+  const uses = (capability, values, range) => values.map((value) => ({ capability, value, range }));
+  if (node.type === "Command") {
+    const [first, second] = node.args;
+    switch (node.name) {
+      case "OUT":
+      case "INPUT":
+      case "OUTPUT":
+        return uses("ports", [first], node.keywordRange);
+      case "SHIFTOUT":
+        return uses("ports", [first, second], node.keywordRange);
+      case "PWM":
+      case "PWMOFF":
+      case "FREQOUT":
+        return uses("pwm", [first], node.keywordRange);
+      case "OPENCOM":
+        return uses("uart", [first], node.keywordRange);
+      default:
+        return [];
+    }
+  }
+  if (node.type === "CallExpression") {
+    const [first, second] = node.args;
+    switch (node.name.toUpperCase()) {
+      case "IN":
+        return uses("ports", [first], node.nameRange);
+      case "SHIFTIN":
+        return uses("ports", [first, second], node.nameRange);
+      case "ADIN":
+      case "TADIN":
+        return uses("adc", [first], node.nameRange);
+      default:
+        return [];
+    }
+  }
+  if (node.type === "Set" && node.name === "I2C") {
+    return uses("ports", node.args.slice(0, 2), node.keywordRange);
+  }
+  if (node.type === "Set" && /^INT\d$/.test(node.name)) {
+    return uses("interrupts", [Number(node.name.slice(3))], node.keywordRange);
+  }
+  if (node.type === "OnEvent" && node.number !== null) {
+    return uses(node.event === "INT" ? "interrupts" : "uart", [node.number], node.keywordRange);
+  }
+  return [];
+}
 
-  if (first === "NEXT") {
-    popBlock(stack, "FOR", tokens[0], lineNumber, diagnostics);
-    return;
-  }
+function validateJumpTargets(ast, diagnostics) {
+  const labels = new Set();
+  const jumps = [];
 
-  if (first === "DO") {
-    const loopIndex = tokens.findIndex((token) => token.text === "LOOP");
-    if (loopIndex !== -1) {
-      const doTokens = tokens.slice(0, loopIndex);
-      const loopTokens = tokens.slice(loopIndex);
-      handleDoLine(doTokens, lineNumber, diagnostics, stack);
-      handleLoopLine(loopTokens, lineNumber, diagnostics, stack);
-      return;
+  walk(ast, (node) => {
+    if (node.type === "Label") {
+      labels.add(node.name.toUpperCase());
+    } else if ((node.type === "GoTo" || node.type === "GoSub" || node.type === "OnEvent") && node.target) {
+      jumps.push(node);
     }
-    handleDoLine(tokens, lineNumber, diagnostics, stack);
-    return;
-  }
-
-  if (first === "LOOP") {
-    handleLoopLine(tokens, lineNumber, diagnostics, stack);
-    return;
-  }
-
-  if (first === "WHILE") {
-    pushBlock(stack, "WHILE", tokens[0], lineNumber);
-    return;
-  }
-
-  if (first === "WEND") {
-    popBlock(stack, "WHILE", tokens[0], lineNumber, diagnostics);
-    return;
-  }
-
-  if (first === "SUB") {
-    pushBlock(stack, "SUB", tokens[0], lineNumber);
-    return;
-  }
-
-  if (first === "FUNCTION") {
-    pushBlock(stack, "FUNCTION", tokens[0], lineNumber);
-    return;
-  }
-
-  if (first === "TYPE") {
-    pushBlock(stack, "TYPE", tokens[0], lineNumber);
-    return;
-  }
+  });
 
-  if (first === "WITH") {
-    pushBlock(stack, "WITH", tokens[0], lineNumber);
-    return;
+  for (const jump of jumps) {
+    if (!labels.has(jump.target.toUpperCase())) {
+      addDiagnostic(
+        diagnostics,
+        "error",
+        jump.targetRange,
+        `${jump.type === "OnEvent" ? "GoSub" : jump.type} target '${jump.target}' is not defined.`
+      );
+    }
   }
+}
 
-  if (first === "SELECT") {
-    pushBlock(stack, "SELECT", tokens[0], lineNumber);
-    return;
-  }
+function validateCommand(node, diagnostics) {
+  const range = node.keywordRange;
+  const [first, second] = node.args;
 
-  if (first === "END") {
-    if (second === "SUB") {
-      popBlock(stack, "SUB", tokens[0], lineNumber, diagnostics);
+  switch (node.name) {
+    case "OUT":
+      if (node.args.length === 0) {
+        addDiagnostic(diagnostics, "error", range, "Out requires port, value.");
+        return;
+      }
+      if (node.args.length === 1) {
+        addDiagnostic(diagnostics, "error", range, "Out requires port, value (missing comma).");
+        return;
+      }
+      if (!isValidPort(first)) {
+        addDiagnostic(diagnostics, "error", range, "Out port must be 0 to 255.");
+      }
+      if (integerLiteral(second) !== null && ![0, 1].includes(integerLiteral(second))) {
+        addDiagnostic(diagnostics, "error", range, "Out value must be 0 or 1.");
+      }
       return;
-    }
-    if (second === "FUNCTION") {
-      popBlock(stack, "FUNCTION", tokens[0], lineNumber, diagnostics);
+    case "INPUT":
+    case "OUTPUT": {
+      const title = node.name === "INPUT" ? "Input" : "Output";
+      if (node.args.length === 0) {
+        addDiagnostic(diagnostics, "error", range, `${title} requires port value.`);
+      } else if (node.args.length === 1 && !isValidPort(first)) {
+        addDiagnostic(diagnostics, "error", range, `${title} port must be 0 to 255.`);
+      }
       return;
     }
-    if (second === "SELECT") {
-      popBlock(stack, "SELECT", tokens[0], lineNumber, diagnostics);
+    case "DELAY":
+      if (node.args.length === 0) {
+        addDiagnostic(diagnostics, "error", range, "Delay requires milliseconds value.");
+      } else if (integerLiteral(first) !== null && integerLiteral(first) < 0) {
+        addDiagnostic(diagnostics, "error", range, "Delay value must be non-negative.");
+      }
       return;
-    }
-    if (second === "TYPE") {
-      popBlock(stack, "TYPE", tokens[0], lineNumber, diagnostics);
+    case "OPENCOM":
+      if (node.args.length !== 5) {
+        addDiagnostic(
+          diagnostics,
+          "error",
+          range,
+          "OpenCom requires channel, baud rate, protocol, receive buffer size, send buffer size."
+        );
+        return;
+      }
+      validateChannel(first, range, diagnostics);
+      if (integerLiteral(second) !== null && !BAUD_RATES.includes(integerLiteral(second))) {
+        addDiagnostic(diagnostics, "error", range, `OpenCom baud rate must be one of ${BAUD_RATES.join(", ")}.`);
+      }
       return;
-    }
-    if (second === "WITH") {
-      popBlock(stack, "WITH", tokens[0], lineNumber, diagnostics);
+    case "PUT":
+      if (node.args.length !== 3) {
+        addDiagnostic(diagnostics, "error", range, "Put requires channel, data, byte count.");
+        return;
+      }
+      validateChannel(first, range, diagnostics);
+      validateByteCount(node.args[2], "Put", range, diagnostics);
+      return;
+    case "GETSTR":
+      if (node.args.length !== 3) {
+        addDiagnostic(diagnostics, "error", range, "GetStr requires channel, variable, length.");
+        return;
+      }
+      validateChannel(first, range, diagnostics);
+      if (second.type !== "Identifier") {
+        addDiagnostic(diagnostics, "error", second.range, "GetStr target must be a String variable.");
+      }
+      return;
+    case "PWM": {
+      if (node.args.length !== 3) {
+        addDiagnostic(diagnostics, "error", range, "Pwm requires channel, duty, period.");
+        return;
+      }
+      const duty = integerLiteral(second);
+      const period = integerLiteral(node.args[2]);
+      if (period !== null && (period < 1 || period > 65535)) {
+        addDiagnostic(diagnostics, "error", range, "Pwm period must be 1 to 65535.");
+      } else if (duty !== null && (duty < 0 || (period !== null && duty > period))) {
+        addDiagnostic(diagnostics, "error", range, "Pwm duty must be 0 to period.");
+      }
       return;
     }
-  }
-
-  if (first === "OUT") {
-    validateOutStatement(tokens[0], cleanLine, lineNumber, diagnostics);
-  }
-
-  if (first === "DEBUG") {
-    validateDebugStatement(tokens[0], cleanLine, lineNumber, diagnostics);
-  }
-
-  if (first === "INPUT") {
-    validateInputStatement(tokens[0], cleanLine, lineNumber, diagnostics);
-  }
-
-  if (first === "OUTPUT") {
-    validateOutputStatement(tokens[0], cleanLine, lineNumber, diagnostics);
-  }
-
-  if (first === "DELAY") {
-    validateDelayStatement(tokens[0], cleanLine, lineNumber, diagnostics);
-  }
-
-  if (first === "DIM") {
-    validateDimStatement(tokens[0], cleanLine, lineNumber, diagnostics);
-  }
-
-  validateInFunctionUsage(tokens, cleanLine, lineNumber, diagnostics);
-}
-
-function validateOutStatement(keywordToken, cleanLine, lineNumber, diagnostics) {
-  const afterKeyword = cleanLine.slice(keywordToken.index + keywordToken.length);
-  const remainder = afterKeyword.trim();
-
-  if (!remainder) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Out requires port, value.",
-      source: "cubloc-basic",
-    });
-    return;
-  }
-
-  const commaIndex = remainder.indexOf(",");
-  if (commaIndex === -1) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Out requires port, value (missing comma).",
-      source: "cubloc-basic",
-    });
-    return;
-  }
-
-  const portText = remainder.slice(0, commaIndex).trim();
-  const valueText = remainder.slice(commaIndex + 1).trim();
-
-  if (!portText || !valueText) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Out requires port, value.",
-      source: "cubloc-basic",
-    });
-    return;
-  }
-
-  const portLiteral = parseIntegerLiteral(portText);
-  if (portLiteral !== null && (portLiteral < 0 || portLiteral > 255)) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Out port must be 0 to 255.",
-      source: "cubloc-basic",
-    });
-  }
-
-  const valueLiteral = parseIntegerLiteral(valueText);
-  if (valueLiteral !== null && valueLiteral !== 0 && valueLiteral !== 1) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Out value must be 0 or 1.",
-      source: "cubloc-basic",
-    });
+    case "PWMOFF":
+      if (node.args.length !== 1) {
+        addDiagnostic(diagnostics, "error", range, "PwmOff requires channel.");
+      }
+      return;
+    case "FREQOUT":
+      if (node.args.length !== 2) {
+        addDiagnostic(diagnostics, "error", range, "Freqout requires channel, frequency value.");
+      } else if (integerLiteral(second) !== null && (integerLiteral(second) < 1 || integerLiteral(second) > 65535)) {
+        addDiagnostic(diagnostics, "error", range, "Freqout frequency value must be 1 to 65535.");
+      }
+      return;
+    case "I2CSTART":
+    case "I2CSTOP":
+      if (node.args.length > 0) {
+        addDiagnostic(diagnostics, "error", range, `${node.name === "I2CSTART" ? "I2cStart" : "I2cStop"} takes no arguments.`);
+      }
+      return;
+    case "I2CWRITE":
+      if (node.args.length !== 1) {
+        addDiagnostic(diagnostics, "error", range, "I2cWrite requires data.");
+      }
+      return;
+    case "SHIFTOUT":
+      if (node.args.length !== 5) {
+        addDiagnostic(diagnostics, "error", range, "ShiftOut requires clock port, data port, mode, value, bits.");
+        return;
+      }
+      if (!isValidPort(first) || !isValidPort(second)) {
+        addDiagnostic(diagnostics, "error", range, "ShiftOut port must be 0 to 255.");
+      }
+      validateShiftArgs(node.args[2], node.args[4], "ShiftOut", 2, range, diagnostics);
+      return;
+    case "EEWRITE":
+      if (node.args.length !== 3) {
+        addDiagnostic(diagnostics, "error", range, "Eewrite requires address, value, bytes.");
+        return;
+      }
+      validateEepromArgs(first, node.args[2], "Eewrite", range, diagnostics);
+      return;
+    case "BCLEAR":
+      if (node.args.length !== 2) {
+        addDiagnostic(diagnostics, "error", range, "BClear requires channel, buffer type.");
+        return;
+      }
+      validateChannel(first, range, diagnostics);
+      if (integerLiteral(second) !== null && ![0, 1, 2].includes(integerLiteral(second))) {
+        addDiagnostic(diagnostics, "error", range, "BClear buffer type must be 0 (receive), 1 (send) or 2 (both).");
+      }
+      return;
+    default:
+      return;
   }
 }
 
-function validateDebugStatement(keywordToken, cleanLine, lineNumber, diagnostics) {
-  const afterKeyword = cleanLine.slice(keywordToken.index + keywordToken.length);
-  const remainder = afterKeyword.trim();
-
-  if (!remainder) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Debug requires data.",
-      source: "cubloc-basic",
-    });
+function validateInFunction(node, diagnostics) {
+  if (node.args.length === 0) {
+    addDiagnostic(diagnostics, "error", node.nameRange, "In requires a port value.");
+  } else if (!isValidPort(node.args[0])) {
+    addDiagnostic(diagnostics, "error", node.nameRange, "In port must be 0 to 255.");
   }
 }
 
-function validateInputStatement(keywordToken, cleanLine, lineNumber, diagnostics) {
-  const afterKeyword = cleanLine.slice(keywordToken.index + keywordToken.length);
-  const remainder = afterKeyword.trim();
-
-  if (!remainder) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Input requires port value.",
-      source: "cubloc-basic",
-    });
+function validateSerialFunction(node, diagnostics) {
+  const upper = node.name.toUpperCase();
+  const signatures = {
+    GET: "Get requires channel, byte count.",
+    GETSTR: "GetStr requires channel, length.",
+    BLEN: "BLen requires channel, buffer type.",
+  };
+  if (!signatures[upper]) {
     return;
   }
-
-  const portLiteral = parseIntegerLiteral(remainder);
-  if (portLiteral !== null && (portLiteral < 0 || portLiteral > 255)) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Input port must be 0 to 255.",
-      source: "cubloc-basic",
-    });
-  }
-}
-
-function validateOutputStatement(keywordToken, cleanLine, lineNumber, diagnostics) {
-  const afterKeyword = cleanLine.slice(keywordToken.index + keywordToken.length);
-  const remainder = afterKeyword.trim();
-
-  if (!remainder) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Output requires port value.",
-      source: "cubloc-basic",
-    });
+  if (node.args.length !== 2) {
+    addDiagnostic(diagnostics, "error", node.nameRange, signatures[upper]);
     return;
   }
-
-  const portLiteral = parseIntegerLiteral(remainder);
-  if (portLiteral !== null && (portLiteral < 0 || portLiteral > 255)) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Output port must be 0 to 255.",
-      source: "cubloc-basic",
-    });
+  validateChannel(node.args[0], node.nameRange, diagnostics);
+  if (upper === "GET") {
+    validateByteCount(node.args[1], "Get", node.nameRange, diagnostics);
+  } else if (upper === "BLEN" && integerLiteral(node.args[1]) !== null && ![0, 1].includes(integerLiteral(node.args[1]))) {
+    addDiagnostic(diagnostics, "error", node.nameRange, "BLen buffer type must be 0 (receive) or 1 (send).");
   }
 }
 
-function validateDelayStatement(keywordToken, cleanLine, lineNumber, diagnostics) {
-  const afterKeyword = cleanLine.slice(keywordToken.index + keywordToken.length);
-  const remainder = afterKeyword.trim();
-
-  if (!remainder) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Delay requires milliseconds value.",
-      source: "cubloc-basic",
-    });
+function validateAnalogFunction(node, diagnostics) {
+  const upper = node.name.toUpperCase();
+  if (upper !== "ADIN" && upper !== "TADIN") {
     return;
   }
-
-  const literal = parseIntegerLiteral(remainder);
-  if (literal !== null && literal < 0) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Delay value must be non-negative.",
-      source: "cubloc-basic",
-    });
+  const title = upper === "ADIN" ? "Adin" : "Tadin";
+  if (node.args.length !== 1) {
+    addDiagnostic(diagnostics, "error", node.nameRange, `${title} requires channel.`);
+  } else if (integerLiteral(node.args[0]) !== null && (integerLiteral(node.args[0]) < 0 || integerLiteral(node.args[0]) > 7)) {
+    addDiagnostic(diagnostics, "error", node.nameRange, `${title} channel must be 0 to 7.`);
   }
 }
 
-function validateInFunctionUsage(tokens, line, lineNumber, diagnostics) {
-  for (const token of tokens) {
-    if (token.text !== "IN") {
-      continue;
-    }
-
-    const searchStart = token.index + token.length;
-    const afterToken = line.slice(searchStart);
-    const openParenOffset = afterToken.search(/\S/);
-    if (openParenOffset === -1) {
-      continue;
-    }
-
-    const openParenIndex = searchStart + openParenOffset;
-    if (line[openParenIndex] !== "(") {
-      continue;
-    }
-
-    const closeParenIndex = findMatchingParen(line, openParenIndex);
-    if (closeParenIndex === -1) {
-      diagnostics.push({
-        severity: DiagnosticSeverity.Error,
-        range: makeRange(lineNumber, token.index, token.index + token.length),
-      message: "In requires a closing parenthesis.",
-      source: "cubloc-basic",
-    });
-      continue;
-    }
-
-    const argument = line.slice(openParenIndex + 1, closeParenIndex).trim();
-    if (!argument) {
-      diagnostics.push({
-        severity: DiagnosticSeverity.Error,
-        range: makeRange(lineNumber, token.index, token.index + token.length),
-      message: "In requires a port value.",
-      source: "cubloc-basic",
-    });
-      continue;
-    }
-
-    const portLiteral = parseIntegerLiteral(argument);
-    if (portLiteral !== null && (portLiteral < 0 || portLiteral > 255)) {
-      diagnostics.push({
-        severity: DiagnosticSeverity.Error,
-        range: makeRange(lineNumber, token.index, token.index + token.length),
-      message: "In port must be 0 to 255.",
-      source: "cubloc-basic",
-    });
+function validateOnEvent(node, diagnostics) {
+  if (node.event === "TIMER") {
+    const interval = integerLiteral(node.interval);
+    if (interval !== null && (interval < 1 || interval > 65535)) {
+      addDiagnostic(diagnostics, "error", node.keywordRange, "On Timer interval must be 1 to 65535.");
     }
+  } else if (node.number > 3) {
+    addDiagnostic(diagnostics, "error", node.keywordRange, `On ${node.event === "INT" ? "Int" : "Recv"} number must be 0 to 3.`);
   }
 }
 
-function validateDimStatement(keywordToken, line, lineNumber, diagnostics) {
-  const startIndex = keywordToken.index + keywordToken.length;
-  const commaIndex = findTopLevelComma(line, startIndex);
-  if (commaIndex !== -1) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Dim does not allow multiple declarations.",
-      source: "cubloc-basic",
-    });
-    return;
-  }
-
-  let cursor = startIndex;
-  cursor = skipWhitespace(line, cursor);
-  if (cursor >= line.length) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Dim requires variable name.",
-      source: "cubloc-basic",
-    });
-    return;
-  }
-
-  const identifier = parseIdentifier(line, cursor);
-  if (!identifier) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(lineNumber, cursor, cursor + 1),
-      message: "Dim requires variable name.",
-      source: "cubloc-basic",
-    });
+function validateSet(node, diagnostics) {
+  const event = /^ON(TIMER|INT\d|RECV\d)$/.exec(node.name);
+  if (event) {
+    const [arg] = node.args;
+    const flag = arg && arg.type === "Identifier" ? arg.name.toUpperCase() : null;
+    if (node.args.length !== 1 || (flag !== null && flag !== "ON" && flag !== "OFF")) {
+      addDiagnostic(diagnostics, "error", node.keywordRange, "Set On event requires On or Off.");
+    } else if (/\d$/.test(event[1]) && Number(event[1].slice(-1)) > 3) {
+      addDiagnostic(diagnostics, "error", node.keywordRange, "Set On event number must be 0 to 3.");
+    }
     return;
   }
-
-  cursor = identifier.end;
-  cursor = skipWhitespace(line, cursor);
-
-  if (line[cursor] === "(") {
-    const closeParen = findMatchingParen(line, cursor);
-    if (closeParen === -1) {
-      diagnostics.push({
-        severity: DiagnosticSeverity.Error,
-        range: makeRange(lineNumber, cursor, cursor + 1),
-      message: "Dim array requires closing parenthesis.",
-      source: "cubloc-basic",
-    });
-      return;
+  if (/^INT\d$/.test(node.name)) {
+    const mode = integerLiteral(node.args[0]);
+    if (node.args.length !== 1) {
+      addDiagnostic(diagnostics, "error", node.keywordRange, "Set Int requires mode.");
+    } else if (Number(node.name.slice(-1)) > 3) {
+      addDiagnostic(diagnostics, "error", node.keywordRange, "Set Int number must be 0 to 3.");
+    } else if (mode !== null && (mode < 0 || mode > 2)) {
+      addDiagnostic(diagnostics, "error", node.keywordRange, "Set Int mode must be 0 (falling), 1 (rising) or 2 (both).");
     }
-    cursor = closeParen + 1;
-  }
-
-  const remaining = line.slice(cursor);
-  const asMatch = /^\s*AS\b/i.exec(remaining);
-  if (!asMatch) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        keywordToken.index,
-        keywordToken.index + keywordToken.length
-      ),
-      message: "Dim requires As <Type>.",
-      source: "cubloc-basic",
-    });
     return;
   }
-
-  cursor += asMatch[0].length;
-  cursor = skipWhitespace(line, cursor);
-
-  const typeIdentifier = parseIdentifier(line, cursor);
-  if (!typeIdentifier) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(lineNumber, cursor, cursor + 1),
-      message: "Dim As requires Type.",
-      source: "cubloc-basic",
-    });
+  if (node.name !== "I2C") {
     return;
   }
-
-  const type = typeIdentifier.name.toUpperCase();
-  const allowedTypes = new Set(["BYTE", "INTEGER", "LONG", "SINGLE", "STRING"]);
-  if (!allowedTypes.has(type)) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        typeIdentifier.start,
-        typeIdentifier.end
-      ),
-      message: "Invalid Dim Type.",
-      source: "cubloc-basic",
-    });
-    return;
+  if (node.args.length !== 2) {
+    addDiagnostic(diagnostics, "error", node.keywordRange, "Set I2c requires data port, clock port.");
+  } else if (!node.args.every(isValidPort)) {
+    addDiagnostic(diagnostics, "error", node.keywordRange, "Set I2c port must be 0 to 255.");
   }
+}
 
-  cursor = typeIdentifier.end;
-  cursor = skipWhitespace(line, cursor);
-
-  if (line[cursor] === "*") {
-    if (type !== "STRING") {
-      diagnostics.push({
-        severity: DiagnosticSeverity.Error,
-        range: makeRange(lineNumber, cursor, cursor + 1),
-        message: "Only String may use * length.",
-        source: "cubloc-basic",
-      });
+function validateBusFunction(node, diagnostics) {
+  const upper = node.name.toUpperCase();
+  const range = node.nameRange;
+  if (upper === "I2CWRITE" && node.args.length !== 1) {
+    addDiagnostic(diagnostics, "error", range, "I2cWrite requires data.");
+  } else if ((upper === "I2CREAD" || upper === "I2CREADNA") && node.args.length > 1) {
+    addDiagnostic(diagnostics, "error", range, `${upper === "I2CREAD" ? "I2cRead" : "I2cReadNa"} takes at most one argument.`);
+  } else if (upper === "EEREAD") {
+    if (node.args.length !== 2) {
+      addDiagnostic(diagnostics, "error", range, "Eeread requires address, bytes.");
       return;
     }
-
-    cursor = skipWhitespace(line, cursor + 1);
-    const lengthIdentifier = parseIdentifier(line, cursor);
-    if (!lengthIdentifier) {
-      diagnostics.push({
-        severity: DiagnosticSeverity.Error,
-        range: makeRange(lineNumber, cursor, cursor + 1),
-        message: "String length required after *.",
-        source: "cubloc-basic",
-      });
+    validateEepromArgs(node.args[0], node.args[1], "Eeread", range, diagnostics);
+  } else if (upper === "SHIFTIN") {
+    if (node.args.length !== 4) {
+      addDiagnostic(diagnostics, "error", range, "ShiftIn requires clock port, data port, mode, bits.");
       return;
     }
-
-    const lengthValue = parseIntegerLiteral(
-      line.slice(lengthIdentifier.start, lengthIdentifier.end)
-    );
-    if (lengthValue === null) {
-      diagnostics.push({
-        severity: DiagnosticSeverity.Error,
-        range: makeRange(
-          lineNumber,
-          lengthIdentifier.start,
-          lengthIdentifier.end
-        ),
-        message: "String length must be a number.",
-        source: "cubloc-basic",
-      });
+    if (!isValidPort(node.args[0]) || !isValidPort(node.args[1])) {
+      addDiagnostic(diagnostics, "error", range, "ShiftIn port must be 0 to 255.");
     }
+    validateShiftArgs(node.args[2], node.args[3], "ShiftIn", 3, range, diagnostics);
   }
 }
 
-function stripComments(line) {
-  let inString = false;
-  let commentIndex = line.length;
-
-  for (let i = 0; i < line.length; i += 1) {
-    const ch = line[i];
-    if (inString) {
-      if (ch === '"') {
-        if (line[i + 1] === '"') {
-          i += 1;
-        } else {
-          inString = false;
-        }
-      }
-      continue;
-    }
-
-    if (ch === '"') {
-      inString = true;
-      continue;
-    }
-
-    if (ch === "'") {
-      commentIndex = i;
-      break;
-    }
-  }
-
-  const remMatch = /\bREM\b/i.exec(line);
-  if (remMatch && remMatch.index < commentIndex) {
-    commentIndex = remMatch.index;
+function validateEepromArgs(address, bytes, title, range, diagnostics) {
+  validateByteCount(bytes, title, range, diagnostics);
+  const value = integerLiteral(address);
+  const count = [1, 2, 3, 4].includes(integerLiteral(bytes)) ? integerLiteral(bytes) : 1;
+  if (value !== null && (value < 0 || value + count > EEPROM_SIZE)) {
+    addDiagnostic(diagnostics, "error", range, `${title} address must be 0 to ${EEPROM_SIZE - count}.`);
   }
-
-  return line.slice(0, commentIndex);
 }
 
-function parseIntegerLiteral(text) {
-  if (!/^\d+$/.test(text)) {
-    return null;
+function validateShiftArgs(mode, bits, title, maxMode, range, diagnostics) {
+  const modeValue = integerLiteral(mode);
+  if (modeValue !== null && (modeValue < 0 || modeValue > maxMode)) {
+    addDiagnostic(diagnostics, "error", range, `${title} mode must be 0 to ${maxMode}.`);
+  }
+  const bitsValue = integerLiteral(bits);
+  if (bitsValue !== null && (bitsValue < 1 || bitsValue > 16)) {
+    addDiagnostic(diagnostics, "error", range, `${title} bits must be 1 to 16.`);
   }
-  return Number.parseInt(text, 10);
 }
 
-function parseIdentifier(line, startIndex) {
-  const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(line.slice(startIndex));
-  if (!match) {
-    return null;
+function validateChannel(node, range, diagnostics) {
+  const value = integerLiteral(node);
+  if (value !== null && (value < 0 || value > 3)) {
+    addDiagnostic(diagnostics, "error", range, "Serial channel must be 0 to 3.");
   }
-  return {
-    name: match[0],
-    start: startIndex,
-    end: startIndex + match[0].length,
-  };
 }
 
-function skipWhitespace(line, index) {
-  let cursor = index;
-  while (cursor < line.length && /\s/.test(line[cursor])) {
-    cursor += 1;
+function validateByteCount(node, title, range, diagnostics) {
+  const value = integerLiteral(node);
+  if (value !== null && (value < 1 || value > 4)) {
+    addDiagnostic(diagnostics, "error", range, `${title} byte count must be 1 to 4.`);
   }
-  return cursor;
 }
 
-function findTopLevelComma(line, startIndex) {
-  let depth = 0;
-  let inString = false;
-
-  for (let i = startIndex; i < line.length; i += 1) {
-    const ch = line[i];
-
-    if (inString) {
-      if (ch === '"') {
-        if (line[i + 1] === '"') {
-          i += 1;
-        } else {
-          inString = false;
-        }
-      }
-      continue;
-    }
-
-    if (ch === '"') {
-      inString = true;
-      continue;
-    }
-
-    if (ch === "(") {
-      depth += 1;
-      continue;
-    }
-
-    if (ch === ")") {
-      depth = Math.max(0, depth - 1);
-      continue;
+function collectConstants(ast) {
+  const constants = new Map();
+  walk(ast, (node) => {
+    if (node.type === "Const" && node.name) {
+      constants.set(node.name.toUpperCase(), node);
     }
+  });
+  return constants;
+}
 
-    if (ch === "," && depth === 0) {
-      return i;
-    }
+function validateConstantAssignment(target, constants, diagnostics) {
+  if (!target.name || !constants.has(target.name.toUpperCase())) {
+    return;
   }
-
-  return -1;
+  addDiagnostic(
+    diagnostics,
+    "error",
+    target.range,
+    `Cannot assign to constant ${constants.get(target.name.toUpperCase()).name}.`
+  );
 }
 
-function findMatchingParen(line, openIndex) {
-  let depth = 0;
-  let inString = false;
-
-  for (let i = openIndex + 1; i < line.length; i += 1) {
-    const ch = line[i];
-
-    if (inString) {
-      if (ch === '"') {
-        if (line[i + 1] === '"') {
-          i += 1;
-        } else {
-          inString = false;
-        }
+// Variables declared with different types in different procedures are left unchecked.
+function collectVariableTypes(ast) {
+  const types = new Map();
+  const declare = (name, type) => {
+    const key = name.toUpperCase();
+    types.set(key, types.has(key) && types.get(key) !== type ? null : type);
+  };
+  walk(ast, (node) => {
+    if (node.type === "Dim") {
+      for (const declaration of node.declarations) {
+        declare(declaration.name, declaration.typeName);
       }
-      continue;
-    }
-
-    if (ch === '"') {
-      inString = true;
-      continue;
-    }
-
-    if (ch === "(") {
-      depth += 1;
-      continue;
-    }
-
-    if (ch === ")") {
-      if (depth === 0) {
-        return i;
+    } else if (node.type === "Procedure") {
+      for (const param of node.params) {
+        if (param.type) {
+          declare(param.name, param.type);
+        }
       }
-      depth -= 1;
     }
-  }
-
-  return -1;
+  });
+  return types;
 }
 
-function handleDoLine(tokens, lineNumber, diagnostics, stack) {
-  const condition = parseLoopCondition(
-    tokens,
-    1,
-    tokens.length,
-    lineNumber,
-    diagnostics,
-    "DO"
-  );
-
-  if (condition && condition.missingExpression) {
+function validateMember(node, variableTypes, diagnostics) {
+  const object = node.object;
+  if (object.type !== "Identifier" && object.type !== "CallExpression") {
     return;
   }
-
-  const entry = pushBlock(stack, "DO", tokens[0], lineNumber);
-  if (condition) {
-    entry.conditionPlacement = "do";
-    entry.conditionKind = condition.kind;
-  }
-}
-
-function handleLoopLine(tokens, lineNumber, diagnostics, stack) {
-  const condition = parseLoopCondition(
-    tokens,
-    1,
-    tokens.length,
-    lineNumber,
-    diagnostics,
-    "LOOP"
-  );
-
-  if (condition && condition.missingExpression) {
+  const type = variableTypes.get(object.name.toUpperCase());
+  if (!type) {
     return;
   }
-
-  popDoBlock(stack, tokens[0], lineNumber, diagnostics, condition);
+  const access = resolveBitMember(node.member, type, object.name);
+  if (access.error) {
+    addDiagnostic(diagnostics, "error", node.memberRange, access.error);
+  }
 }
 
-function parseLoopCondition(tokens, startIndex, endIndex, lineNumber, diagnostics, context) {
-  const immediate = tokens[startIndex];
-  const immediateIsWhile =
-    immediate && (immediate.text === "WHILE" || immediate.text === "UNTIL");
-
-  let whileToken = null;
-  let untilToken = null;
-
-  for (let i = startIndex; i < endIndex; i += 1) {
-    if (tokens[i].text === "WHILE") {
-      whileToken = tokens[i];
-    } else if (tokens[i].text === "UNTIL") {
-      untilToken = tokens[i];
+function validateStringLengths(node, constants, diagnostics) {
+  for (const declaration of node.declarations) {
+    let length = declaration.length;
+    if (length && length.type === "Identifier") {
+      const constant = constants.get(length.name.toUpperCase());
+      if (!constant || !constant.value) {
+        addDiagnostic(diagnostics, "error", length.range, "String length must be a constant.");
+        continue;
+      }
+      length = { ...constant.value, range: length.range };
+    }
+    if (!length || length.type !== "Number") {
+      continue;
+    }
+    if (!Number.isInteger(length.value) || length.value < 1 || length.value > MAX_STRING_LENGTH) {
+      addDiagnostic(
+        diagnostics,
+        "error",
+        length.range,
+        `String length must be 1 to ${MAX_STRING_LENGTH}.`
+      );
     }
   }
-
-  if (!immediateIsWhile && (whileToken || untilToken)) {
-    const misplaced = whileToken || untilToken;
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(lineNumber, misplaced.index, misplaced.index + misplaced.length),
-      message: `${formatKeyword(context)} While/Until must immediately follow ${formatKeyword(context)}.`,
-      source: "cubloc-basic",
-    });
-    return { kind: "MISPLACED", missingExpression: true };
-  }
-
-  if (whileToken && untilToken) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(
-        lineNumber,
-        Math.min(whileToken.index, untilToken.index),
-        Math.max(
-          whileToken.index + whileToken.length,
-          untilToken.index + untilToken.length
-        )
-      ),
-      message: `${formatKeyword(context)} cannot use both While and Until.`,
-      source: "cubloc-basic",
-    });
-    return { kind: "BOTH", missingExpression: true };
-  }
-
-  const token = immediateIsWhile ? immediate : whileToken || untilToken;
-  if (!token) {
-    return null;
-  }
-
-  if (token.index === tokens[endIndex - 1].index) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(lineNumber, token.index, token.index + token.length),
-      message: `${formatKeyword(context)} ${formatKeyword(token.text)} requires a condition.`,
-      source: "cubloc-basic",
-    });
-    return { kind: token.text, missingExpression: true };
-  }
-
-  return { kind: token.text, missingExpression: false };
 }
 
-function popDoBlock(stack, token, lineNumber, diagnostics, condition) {
-  if (stack.length === 0) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(lineNumber, token.index, token.index + token.length),
-      message: "Loop without matching Do.",
-      source: "cubloc-basic",
-    });
-    return;
-  }
+function isValidPort(node) {
+  const value = integerLiteral(node);
+  return value === null || (value >= 0 && value <= 255);
+}
 
-  const matchIndex = findOpenBlock(stack, "DO");
-  if (matchIndex === -1) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(lineNumber, token.index, token.index + token.length),
-      message: "Loop without matching Do.",
-      source: "cubloc-basic",
-    });
-    return;
+function integerLiteral(node) {
+  if (!node) {
+    return null;
   }
-
-  for (let i = stack.length - 1; i > matchIndex; i -= 1) {
-    const missing = stack[i];
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(missing.line, missing.character, missing.character + missing.length),
-      message: `Missing ${BLOCK_ENDINGS[missing.type] || "End"} before Loop.`,
-      source: "cubloc-basic",
-    });
+  if (node.type === "Unary" && node.operator === "-") {
+    const value = integerLiteral(node.argument);
+    return value === null ? null : -value;
   }
-
-  const doBlock = stack[matchIndex];
-  stack.length = matchIndex;
-  stack.pop();
-
-  if (condition && doBlock.conditionPlacement === "do") {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(lineNumber, token.index, token.index + token.length),
-      message: "Loop cannot include a condition when Do already has While/Until.",
-      source: "cubloc-basic",
-    });
+  if (node.type === "Number" && Number.isInteger(node.value)) {
+    return node.value;
   }
+  return null;
 }
 
-function pushBlock(stack, type, token, lineNumber) {
-  const entry = {
-    type,
-    line: lineNumber,
-    character: token.index,
-    length: token.length,
-  };
-  stack.push(entry);
-  return entry;
-}
-
-function popBlock(stack, type, token, lineNumber, diagnostics) {
-  if (stack.length === 0) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(lineNumber, token.index, token.index + token.length),
-      message: `${formatKeyword(token.text)} without matching ${formatKeyword(type)}.`,
-      source: "cubloc-basic",
-    });
-    return;
+function getWordAt(line, character) {
+  if (character < 0 || character > line.length) {
+    return null;
   }
 
-  if (stack[stack.length - 1].type === type) {
-    stack.pop();
-    return;
+  let start = character;
+  while (start > 0 && /[A-Za-z0-9_]/.test(line[start - 1])) {
+    start -= 1;
   }
 
-  const matchIndex = findOpenBlock(stack, type);
-  if (matchIndex === -1) {
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(lineNumber, token.index, token.index + token.length),
-      message: `${formatKeyword(token.text)} without matching ${formatKeyword(type)}.`,
-      source: "cubloc-basic",
-    });
-    return;
+  let end = character;
+  while (end < line.length && /[A-Za-z0-9_]/.test(line[end])) {
+    end += 1;
   }
 
-  for (let i = stack.length - 1; i > matchIndex; i -= 1) {
-    const missing = stack[i];
-    diagnostics.push({
-      severity: DiagnosticSeverity.Error,
-      range: makeRange(missing.line, missing.character, missing.character + missing.length),
-      message: `Missing ${BLOCK_ENDINGS[missing.type] || "End"} before ${formatKeyword(token.text)}.`,
-      source: "cubloc-basic",
-    });
+  if (start === end) {
+    return null;
   }
 
-  stack.length = matchIndex;
-  stack.pop();
-}
-
-function hasOpenBlock(stack, type) {
-  return findOpenBlock(stack, type) !== -1;
-}
-
-function findOpenBlock(stack, type) {
-  for (let i = stack.length - 1; i >= 0; i -= 1) {
-    if (stack[i].type === type) {
-      return i;
-    }
+  const word = line.slice(start, end);
+  if (!/^[A-Za-z_]/.test(word)) {
+    return null;
   }
-  return -1;
-}
 
-function makeRange(line, start, end) {
-  return {
-    start: { line, character: start },
-    end: { line, character: end },
-  };
+  return word.toUpperCase();
 }
 
 const HOVER_DOCS = {
   DEBUG: "**Debug** data\n\nSends data to the debug terminal. Use `Dec`/`Hex` for formatted numbers and `CR`/`LF` for line control.",
   DELAY: "**Delay** n\n\nPause for *n* milliseconds.",
-  DIM: "**Dim** name [ (dims) ] **As** type [ * length ]\n\nDeclare a variable or array. Types: Byte, Integer, Long, Single, String.",
+  DIM: "**Dim** name [ (dims) ] **As** type [ * length ]\n\nDeclare a variable or array. Types: Byte, Integer, Long, Single, String. Strings hold at most *length* characters (default 64, up to 127); longer values are truncated.",
   DO: "**Do** [While|Until cond] … **Loop** [While|Until cond]\n\nCreates a loop; condition may appear on Do or Loop (not both).",
   LOOP: "**Loop** [While|Until cond]\n\nCloses a Do…Loop block.",
   IN: "**In**(port)\n\nReads the state of a GPIO port.",
@@ -1213,6 +793,50 @@ const HOVER_DOCS = {
   LET: "**Let** var = expr\n\nAssign a value.",
   IF: "**If** cond **Then** … [**Else** …] **End If**\n\nConditional block.",
   FOR: "**For** var = start **To** end [**Step** n] … **Next**\n\nCounting loop.",
+  SUB: "**Sub** name [ ( [ByVal|ByRef] arg As type, … ) ] … **End Sub**\n\nDeclare a subroutine. Call it with `name args` or `Call name(args)`.",
+  FUNCTION: "**Function** name [ ( args ) ] **As** type … **End Function**\n\nDeclare a function. Assign the result to the function name.",
+  BYVAL: "**ByVal** arg\n\nPass a copy of the argument (default).",
+  BYREF: "**ByRef** arg\n\nPass a variable or array element; changes made by the procedure are written back to it.",
+  EXIT: "**Exit** For|Do|Sub|Function\n\nLeave the enclosing loop or procedure.",
+  CALL: "**Call** name [ ( args ) ]\n\nCall a subroutine.",
+  SELECT: "**Select Case** expr … **Case** … [**Case Else** …] **End Select**\n\nMulti-way branch. The expression is evaluated once.",
+  CASE: "**Case** value [, low **To** high] [, **Is** op value] | **Case Else**\n\nBranch of a Select Case block.",
+  GOTO: "**GoTo** label\n\nJump to a label or line number.",
+  GOSUB: "**GoSub** label\n\nCall the code at a label; **Return** continues after the GoSub.",
+  RETURN: "**Return**\n\nReturn from a GoSub subroutine.",
+  AND: "a **And** b\n\nLogical And when both sides are comparisons; bitwise And on integer values.",
+  OR: "a **Or** b\n\nLogical Or when both sides are comparisons; bitwise Or on integer values.",
+  XOR: "a **Xor** b\n\nLogical Xor when both sides are comparisons; bitwise Xor on integer values.",
+  NOT: "**Not** a\n\nLogical Not of a comparison; bitwise complement of an integer value.",
+  MOD: "a **Mod** b\n\nRemainder of integer division. The result has the sign of *a*.",
+  CONST: "**Const** name [ **As** type ] = value\n\n**Const** type name = (value, value, …)\n\nDeclare a named constant or a read-only table. Tables are indexed like arrays: `name(i)`.",
+  OPENCOM: "**OpenCom** channel, baudrate, protocol, recvsize, sendsize\n\nOpen a serial channel. Protocol 3 is 8N1 (bits 0-1 data bits, bit 2 two stop bits, bits 3-4 parity: 2 even, 3 odd). Buffer sizes are in bytes.",
+  PUT: "**Put** channel, data, bytes\n\nSend *bytes* (1 to 4) of *data* on the channel, low byte first.",
+  GET: "**Get**(channel, bytes)\n\nRead *bytes* (1 to 4) from the receive buffer, low byte first. Returns 0 when fewer bytes are waiting.",
+  PUTSTR: "**PutStr** channel, data [, data …]\n\nSend text on the channel. Accepts the same items as Debug (`Dec`, `Hex`, `CR`, `LF`).",
+  GETSTR: "**GetStr** channel, variable, length\n\n*variable* = **GetStr**(channel, length)\n\nRead up to *length* characters waiting in the receive buffer.",
+  BCLEAR: "**BClear** channel, buffer\n\nClear the receive (0), send (1) or both (2) buffers.",
+  BLEN: "**BLen**(channel, buffer)\n\nNumber of bytes waiting in the receive (0) or send (1) buffer.",
+  ADIN: "**Adin**(channel)\n\nRead an A/D channel. The result is scaled to CUBLOC's 10-bit range (0 to 1023).",
+  TADIN: "**Tadin**(channel)\n\nRead an A/D channel 10 times and return the average (0 to 1023).",
+  PWM: "**Pwm** channel, duty, period\n\nStart PWM output. Frequency is 18.432 MHz / *period*; the output is high for *duty* / *period* of each cycle.",
+  PWMOFF: "**PwmOff** channel\n\nStop PWM output on the channel.",
+  FREQOUT: "**Freqout** channel, value\n\nOutput a 50% square wave on a PWM channel. Frequency is 4.608 MHz / (*value* + 1).",
+  SET: "**Set I2c** dataport, clockport\n\n**Set Int**N mode\n\n**Set OnTimer**|**OnInt**N|**OnRecv**N On|Off\n\nConfigure I2c ports, interrupt edges, or enable and disable event handlers.",
+  I2C: "**Set I2c** dataport, clockport\n\nSelect the ports used by the I2c statements.",
+  ON: "**On Timer**(interval) **GoSub** label\n\n**On Int**N **GoSub** label\n\n**On Recv**N **GoSub** label\n\nRun a GoSub subroutine on a timer tick (every *interval* x 10 ms), an external interrupt, or when data arrives on a serial channel. A handler is not re-entered while it is still running.",
+  TIMER: "**On Timer**(interval) **GoSub** label\n\nRun a GoSub subroutine every *interval* x 10 ms.",
+  ONTIMER: "**Set OnTimer** On|Off\n\nEnable or disable the On Timer handler.",
+  I2CSTART: "**I2cStart**\n\nSend an I2C start (or repeated start) condition.",
+  I2CSTOP: "**I2cStop**\n\nSend an I2C stop condition.",
+  I2CWRITE: "**I2cWrite** data\n\n*variable* = **I2cWrite**(data)\n\nWrite one byte. Returns 0 when the device acknowledged it, 1 otherwise.",
+  I2CREAD: "**I2cRead**(dummy)\n\nRead one byte and acknowledge it. Use I2cReadNa for the last byte.",
+  I2CREADNA: "**I2cReadNa**(dummy)\n\nRead one byte without acknowledging it (last byte of a transfer).",
+  SHIFTOUT: "**ShiftOut** clock, data, mode, value, bits\n\nShift *bits* (1 to 16) of *value* out. Mode 0: LSB first; 1: MSB first; 2: MSB first with the clock idling high.\n\nWhole bytes use the board's hardware SPI bus when the clock and data ports are its pins.",
+  SHIFTIN: "**ShiftIn**(clock, data, mode, bits)\n\nShift *bits* (1 to 16) in. Mode 0: LSB first, 1: MSB first, read after the rising edge; 2: LSB first, 3: MSB first, read after the falling edge.\n\nWhole bytes use the board's hardware SPI bus when the clock and data ports are its pins.",
+  EEWRITE: "**Eewrite** address, value, bytes\n\nWrite *bytes* (1 to 4) of *value* to EEPROM, low byte first. On MicroPython the EEPROM is a 4 KB file that is written through immediately.",
+  EEREAD: "**Eeread**(address, bytes)\n\nRead *bytes* (1 to 4) from EEPROM, low byte first.",
+  NEXT: "**Next** [var [, var]]\n\nCloses a For…Next loop. The end and step are evaluated once; after the loop the variable holds the first value past the end.",
 };
 
 connection.listen();
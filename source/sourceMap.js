@@ -0,0 +1,62 @@
+"use strict";
+
+const path = require("path");
+const { mapColumn } = require("./preprocessor");
+
+const MARKER = "\u0000";
+
+function markLines(lines, start, node) {
+  if (!node || !node.range) {
+    return;
+  }
+  const { line, character } = node.range.start;
+  for (let i = start; i < lines.length; i += 1) {
+    if (lines[i] && !lines[i].includes(MARKER)) {
+      lines[i] += `${MARKER}${line}:${character}`;
+    }
+  }
+}
+
+function createSourceMap(lines, filePath, preprocessed = null) {
+  const basename = path.basename(filePath);
+  const sources = preprocessed
+    ? preprocessed.sources.map((source) => path.relative(path.dirname(preprocessed.sources[0]), source).replace(/\\/g, "/"))
+    : [basename];
+  const sourceMap = {
+    version: 1,
+    file: `${basename}.py`,
+    sources,
+    mappings: [],
+  };
+
+  const code = lines.map((text, generatedLine) => {
+    const index = text.indexOf(MARKER);
+    if (index < 0) {
+      return text;
+    }
+    const [line, column] = text.slice(index + 1).split(":").map(Number);
+    const origin = preprocessed ? preprocessed.lines[line] : null;
+    if (origin) {
+      sourceMap.mappings.push({ generatedLine, source: origin.source, line: origin.line, column: mapColumn(origin, column) });
+    } else {
+      sourceMap.mappings.push({ generatedLine, source: 0, line, column });
+    }
+    return text.slice(0, index);
+  });
+
+  return { code: code.join("\n"), sourceMap };
+}
+
+function findSourceLocation(sourceMap, generatedLine) {
+  const mapping = sourceMap.mappings.find((candidate) => candidate.generatedLine === generatedLine);
+  if (!mapping) {
+    return null;
+  }
+  return { source: sourceMap.sources[mapping.source], line: mapping.line, column: mapping.column };
+}
+
+module.exports = {
+  markLines,
+  createSourceMap,
+  findSourceLocation,
+};
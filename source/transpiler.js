@@ -1,359 +1,1439 @@
 "use strict";
 
 const path = require("path");
+const { parseProgram, walk } = require("./parser");
+const { markLines, createSourceMap } = require("./sourceMap");
+const { CAPABILITIES } = require("./boards");
+const { resolveBitMember } = require("./bitMembers");
+const { preprocess, mapDiagnostics } = require("./preprocessor");
+
+const COMPARISON_OPERATORS = {
+  "=": "==",
+  "<>": "!=",
+  "<": "<",
+  ">": ">",
+  "<=": "<=",
+  ">=": ">=",
+};
+
+const PYTHON_PRECEDENCE = {
+  or: 1,
+  and: 2,
+  not: 3,
+  comparison: 4,
+  "|": 5,
+  "^": 6,
+  "&": 7,
+  "<<": 8,
+  ">>": 8,
+  "+": 9,
+  "-": 9,
+  "*": 10,
+  "/": 10,
+  "//": 10,
+  "%": 10,
+  unary: 11,
+  "**": 12,
+  atom: 13,
+};
+
+const INTEGER_TYPES = new Set(["BYTE", "INTEGER", "LONG"]);
+
+const DEFAULT_STRING_LENGTH = 64;
+
+const CONST_HELPER = [
+  "try:",
+  "    from micropython import const",
+  "except ImportError:",
+  "    def const(value):",
+  "        return value",
+];
+
+const RUNTIME_MODULE = "cubloc_runtime";
+const SIMULATOR_MODULE = "cubloc_sim";
+const TARGETS = ["device", "simulate"];
+
+const RUNTIME_NAMES = [
+  "_board",
+  "_gpio_out",
+  "_gpio_in",
+  "create_array",
+  "_idiv",
+  "_imod",
+  "_byte",
+  "_integer",
+  "_long",
+  "_opencom",
+  "_put",
+  "_get",
+  "_putstr",
+  "_getstr",
+  "_bclear",
+  "_blen",
+  "_adin",
+  "_tadin",
+  "_pwm",
+  "_pwmoff",
+  "_freqout",
+  "_set_i2c",
+  "_i2cstart",
+  "_i2cstop",
+  "_i2cwrite",
+  "_i2cread",
+  "_i2creadna",
+  "_shiftout",
+  "_shiftin",
+  "_eewrite",
+  "_eeread",
+  "_on_timer",
+  "_on_int",
+  "_on_recv",
+  "_set_event",
+  "_set_int",
+  "_Jump",
+];
+
+const BUILTIN_FUNCTIONS = {
+  IN: { helper: "_gpio_in", type: "BYTE" },
+  GET: { helper: "_get", type: "LONG" },
+  GETSTR: { helper: "_getstr", type: "STRING" },
+  BLEN: { helper: "_blen", type: "INTEGER" },
+  ADIN: { helper: "_adin", type: "INTEGER" },
+  TADIN: { helper: "_tadin", type: "INTEGER" },
+  I2CWRITE: { helper: "_i2cwrite", type: "BYTE" },
+  I2CREAD: { helper: "_i2cread", type: "BYTE" },
+  I2CREADNA: { helper: "_i2creadna", type: "BYTE" },
+  SHIFTIN: { helper: "_shiftin", type: "INTEGER" },
+  EEREAD: { helper: "_eeread", type: "LONG" },
+};
+
+const COMMAND_HELPERS = {
+  OPENCOM: "_opencom",
+  PUT: "_put",
+  BCLEAR: "_bclear",
+  PWM: "_pwm",
+  PWMOFF: "_pwmoff",
+  FREQOUT: "_freqout",
+  I2CSTART: "_i2cstart",
+  I2CSTOP: "_i2cstop",
+  I2CWRITE: "_i2cwrite",
+  SHIFTOUT: "_shiftout",
+  EEWRITE: "_eewrite",
+};
+
+const SET_HELPERS = {
+  I2C: "_set_i2c",
+};
+
+const TYPE_RANGES = {
+  BYTE: { helper: "_byte", min: 0, max: 0xff },
+  INTEGER: { helper: "_integer", min: 0, max: 0xffff },
+  LONG: { helper: "_long", min: -0x80000000, max: 0x7fffffff },
+};
+
+function transpileCubToPython(text, filePath, options = {}) {
+  return transpileCubWithSourceMap(text, filePath, options).code;
+}
 
-function transpileCubToPython(text, filePath) {
-  const lines = text.split(/\r?\n/);
+function transpileCubWithSourceMap(text, filePath, options = {}) {
   const basename = path.basename(filePath);
+  const target = options.target || "device";
+  if (!TARGETS.includes(target)) {
+    throw new Error(`Unknown transpile target '${target}'. Expected one of: ${TARGETS.join(", ")}.`);
+  }
+  const preprocessed = preprocess(text, filePath, { readFile: options.readFile });
+  const { ast, diagnostics: syntaxDiagnostics } = parseProgram(preprocessed.text);
   const output = [
     `# Auto-generated from ${basename}`,
     "# DO NOT EDIT: generated by CUBLOC BASIC transpiler",
     "",
     "import time",
-    "from machine import Pin",
-    "",
-    "_pins_out = {}",
-    "_pins_in = {}",
-    "",
-    "def _gpio_out(port, value=None):",
-    "    port = int(port)",
-    "    pin = _pins_out.get(port)",
-    "    if pin is None:",
-    "        pin = Pin(port, Pin.OUT)",
-    "        _pins_out[port] = pin",
-    "    if value is not None:",
-    "        pin.value(1 if value else 0)",
-    "",
-    "def _gpio_in(port):",
-    "    port = int(port)",
-    "    pin = _pins_in.get(port)",
-    "    if pin is None:",
-    "        pin = Pin(port, Pin.IN)",
-    "        _pins_in[port] = pin",
-    "    return pin.value()",
-    "",
-    "def create_array(dimensions, value):",
-    "    result = value",
-    "    for size in reversed(dimensions):",
-    "        result = [result for _ in range(int(size))]",
-    "    return result",
-    "",
   ];
+  if (options.board) {
+    output.splice(2, 0, `# Board: ${options.board.name}`);
+  }
+  if (target === "simulate") {
+    output.splice(output.indexOf("import time"), 0, `import ${SIMULATOR_MODULE}  # installs the simulated machine module and virtual time`);
+  }
 
-  let indent = 0;
-  const doStack = [];
-
-  for (const line of lines) {
-    const result = transpileStatement(line, indent, doStack);
-    indent = result.indent;
-    if (result.lines.length === 0) {
-      continue;
+  const main = ast.body.filter((statement) => statement.type !== "Procedure");
+  const procedures = ast.body.filter((statement) => statement.type === "Procedure");
+  const context = createContext(preprocessed.text, options);
+
+  const constants = collectConstants(ast.body, context);
+  collectDeclarations(main, {
+    names: context.globals,
+    arrays: context.arrays,
+    types: context.types,
+    stringLengths: context.stringLengths,
+    constants: context.constants,
+  });
+  for (const procedure of procedures) {
+    if (procedure.name) {
+      context.procedures.set(procedure.name.toUpperCase(), procedure);
     }
-    output.push(...result.lines);
   }
 
-  return output.join("\n");
+  const mainJumps = scanJumps(main);
+  context.mainLabels = mainJumps.labels;
+  const procedureJumps = procedures.map((procedure) => scanJumps(procedure.body));
+  const body = [];
+  for (const constant of constants) {
+    body.push(transpileConst(constant, context));
+    markLines(body, body.length - 1, constant);
+  }
+  if (body.length > 0) {
+    body.push("");
+  }
+
+  procedures.forEach((procedure, index) => {
+    const start = body.length;
+    body.push(...transpileProcedure(procedure, procedureJumps[index], context));
+    markLines(body, start, procedure);
+    body.push("");
+  });
+
+  if (mainJumps.needsLowering) {
+    body.push(...transpileLoweredMain(main, mainJumps, context));
+  } else {
+    body.push(...transpileBody(main, 0, context).lines);
+  }
+
+  if (mainJumps.needsLowering || procedureJumps.some((jumps) => jumps.needsLowering)) {
+    context.helpers.add("_Jump");
+  }
+  if (options.board) {
+    context.helpers.add("_board");
+  }
+  const imports = RUNTIME_NAMES.filter((name) => context.helpers.has(name));
+  if (imports.length > 0) {
+    output.push(`from ${RUNTIME_MODULE} import ${imports.join(", ")}`);
+  }
+  if (options.board) {
+    output.push(transpileBoard(options.board));
+  }
+  output.push("");
+  if (context.helpers.has("const")) {
+    output.push(...CONST_HELPER, "");
+  }
+  output.push(...body);
+  trimTrailingBlankLines(output);
+
+  return {
+    ...createSourceMap(output, filePath, preprocessed),
+    diagnostics: [
+      ...preprocessed.diagnostics,
+      ...mapDiagnostics(preprocessed, syntaxDiagnostics.map((diagnostic) => ({ ...diagnostic, code: "syntax" }))),
+      ...mapDiagnostics(preprocessed, context.diagnostics),
+    ],
+  };
 }
 
-function transpileStatement(line, indent, doStack) {
-  const withoutLineNumber = line.replace(/^\s*\d+\s*/, "");
-  const trimmed = withoutLineNumber.trim();
+function transpileBoard(board) {
+  const args = CAPABILITIES.filter((capability) => board[capability]).map((capability) => {
+    const entries = [...board[capability]].map(([number, pin]) => `${number}: ${JSON.stringify(pin)}`);
+    return `${capability}={${entries.join(", ")}}`;
+  });
+  if (board.spi) {
+    const buses = [...board.spi].map(([id, bus]) => `${id}: (${[bus.sck, bus.mosi, bus.miso].map((pin) => JSON.stringify(pin)).join(", ")})`);
+    args.push(`spi={${buses.join(", ")}}`);
+  }
+  return `_board(${args.join(", ")})`;
+}
+
+function createContext(text, options) {
+  return {
+    sourceLines: text.split(/\r?\n/),
+    exactArithmetic: Boolean(options.exactArithmetic),
+    procedures: new Map(),
+    constants: new Map(),
+    globals: new Set(),
+    arrays: new Set(),
+    types: new Map(),
+    localArrays: new Set(),
+    localTypes: new Map(),
+    stringLengths: new Map(),
+    localStringLengths: new Map(),
+    helpers: new Set(),
+    procedure: null,
+    pending: [],
+    hoistCalls: false,
+    tempCount: 0,
+    loops: [],
+    jumps: null,
+    mainLabels: new Map(),
+    diagnostics: [],
+  };
+}
+
+function addDiagnostic(context, severity, range, code, message) {
+  const duplicate = context.diagnostics.some(
+    (diagnostic) =>
+      diagnostic.code === code &&
+      diagnostic.range.start.line === range.start.line &&
+      diagnostic.range.start.character === range.start.character
+  );
+  if (!duplicate) {
+    context.diagnostics.push({ severity, range, message, code });
+  }
+}
+
+function transpileBody(statements, indent, context) {
   const lines = [];
+  let hasCode = false;
+  let previousLine = null;
+
+  for (const statement of statements) {
+    const startLine = statement.range.start.line;
+    if (previousLine !== null && hasBlankLine(context, previousLine + 1, startLine)) {
+      lines.push("");
+    }
+    previousLine = Math.max(startLine, statement.endLine || startLine);
 
-  if (!trimmed) {
-    lines.push("");
-    return { lines, indent };
+    if (transpileStatement(statement, indent, context, lines)) {
+      hasCode = true;
+    }
   }
 
-  if (/^REM\b/i.test(trimmed)) {
-    lines.push(`${indentText(indent)}# ${trimmed.replace(/^REM\b\s*/i, "")}`);
-    return { lines, indent };
+  return { lines, hasCode };
+}
+
+function transpileBlockBody(statements, indent, context, lines) {
+  const body = transpileBody(statements, indent, context);
+  trimTrailingBlankLines(body.lines);
+  lines.push(...body.lines);
+  if (!body.hasCode) {
+    lines.push(`${indentText(indent)}pass`);
   }
+}
 
-  if (/^'/.test(trimmed)) {
-    lines.push(`${indentText(indent)}# ${trimmed.slice(1).trim()}`);
-    return { lines, indent };
+function hasBlankLine(context, startLine, endLine) {
+  for (let line = startLine; line < endLine; line += 1) {
+    if (!context.sourceLines[line].trim()) {
+      return true;
+    }
   }
+  return false;
+}
 
-  if (/^DO\b/i.test(trimmed)) {
-    const condition = parseDoLoopCondition(trimmed.replace(/^DO\b/i, "").trim());
-    if (condition && condition.kind === "WHILE" && condition.expr) {
-      lines.push(`${indentText(indent)}while ${condition.expr}:`);
-      doStack.push({ startCondition: "WHILE" });
-    } else if (condition && condition.kind === "UNTIL" && condition.expr) {
-      lines.push(`${indentText(indent)}while not (${condition.expr}):`);
-      doStack.push({ startCondition: "UNTIL" });
-    } else {
-      lines.push(`${indentText(indent)}while True:`);
-      doStack.push({ startCondition: null });
+function trimTrailingBlankLines(lines) {
+  while (lines.length > 0 && lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+}
+
+function collectConstants(statements, context) {
+  const constants = [];
+  walk(statements, (node) => {
+    if (node.type !== "Const" || !node.name || !(node.value || node.values)) {
+      return;
+    }
+    const upper = node.name.toUpperCase();
+    constants.push(node);
+    context.constants.set(upper, node);
+    if (node.values) {
+      context.arrays.add(upper);
+      context.types.set(upper, node.typeName);
+    } else if (node.value) {
+      context.types.set(upper, node.typeName || translateNode(node.value, context).type);
     }
-    return { lines, indent: indent + 1 };
+  });
+  return constants;
+}
+
+function transpileConst(node, context) {
+  if (node.values) {
+    const values = node.values.map((value) => translateExpression(value, context));
+    const tuple = `(${values.join(", ")}${values.length === 1 ? "," : ""})`;
+    return `${node.name} = ${tuple}${formatTrailingComment(node.comment)}`;
   }
 
-  if (/^LOOP\b/i.test(trimmed)) {
-    const condition = parseDoLoopCondition(
-      trimmed.replace(/^LOOP\b/i, "").trim()
-    );
-    const lastDo = doStack.length > 0 ? doStack[doStack.length - 1] : null;
-
-    if (condition && condition.expr && (!lastDo || !lastDo.startCondition)) {
-      if (condition.kind === "WHILE") {
-        lines.push(`${indentText(indent)}if not (${condition.expr}):`);
-        lines.push(`${indentText(indent + 1)}break`);
-      } else if (condition.kind === "UNTIL") {
-        lines.push(`${indentText(indent)}if (${condition.expr}):`);
-        lines.push(`${indentText(indent + 1)}break`);
+  const value = translateExpression(node.value, context);
+  const type = context.types.get(node.name.toUpperCase());
+  if (type !== "SINGLE" && type !== "STRING" && isIntegerConstant(node.value, context)) {
+    context.helpers.add("const");
+    return `${node.name} = const(${value})${formatTrailingComment(node.comment)}`;
+  }
+  return `${node.name} = ${value}${formatTrailingComment(node.comment)}`;
+}
+
+function isIntegerConstant(node, context) {
+  switch (node.type) {
+    case "Number":
+      return Number.isInteger(node.value) && !/[.eE]/.test(node.raw);
+    case "Paren":
+      return isIntegerConstant(node.expression, context);
+    case "Unary":
+      return isIntegerConstant(node.argument, context);
+    case "Binary":
+      return (
+        !["/", "&", "=", "<>", "<", ">", "<=", ">="].includes(node.operator) &&
+        isIntegerConstant(node.left, context) &&
+        isIntegerConstant(node.right, context)
+      );
+    case "Identifier": {
+      const constant = context.constants.get(node.name.toUpperCase());
+      return Boolean(constant && constant.value) && isIntegerConstant(constant.value, context);
+    }
+    default:
+      return false;
+  }
+}
+
+function collectDeclarations(statements, scope) {
+  walk(statements, (node) => {
+    if (node.type !== "Dim") {
+      return;
+    }
+    for (const declaration of node.declarations) {
+      const upper = declaration.name.toUpperCase();
+      scope.names.add(declaration.name);
+      scope.types.set(upper, declaration.typeName);
+      if (declaration.dimensions) {
+        scope.arrays.add(upper);
+      }
+      if (declaration.typeName === "STRING") {
+        scope.stringLengths.set(upper, stringLength(declaration, scope.constants));
       }
     }
+  });
+}
 
-    if (doStack.length > 0) {
-      doStack.pop();
+function stringLength(declaration, constants) {
+  let length = declaration.length;
+  if (length && length.type === "Identifier" && constants.has(length.name.toUpperCase())) {
+    length = constants.get(length.name.toUpperCase()).value;
+  }
+  if (length && length.type === "Number" && Number.isInteger(length.value) && length.value > 0) {
+    return length.value;
+  }
+  return DEFAULT_STRING_LENGTH;
+}
+
+function collectReferencedNames(statements) {
+  const names = new Set();
+  walk(statements, (node) => {
+    if (node.type === "Identifier" || node.type === "CallExpression") {
+      names.add(node.name.toUpperCase());
+    } else if (node.type === "For" && node.variable) {
+      names.add(node.variable.name.toUpperCase());
     }
+  });
+  return names;
+}
+
+function transpileProcedure(procedure, jumps, context) {
+  if (!procedure.name) {
+    addDiagnostic(context, "error", procedure.range, "invalid-procedure", "Procedure without a name was not transpiled.");
+    return [`# ${sourceLine(procedure, context)}  # Invalid procedure declaration`];
+  }
+
+  const locals = new Set();
+  const localArrays = new Set();
+  const localTypes = new Map();
+  const localStringLengths = new Map();
+  collectDeclarations(procedure.body, {
+    names: locals,
+    arrays: localArrays,
+    types: localTypes,
+    stringLengths: localStringLengths,
+    constants: context.constants,
+  });
+  for (const param of procedure.params) {
+    localTypes.set(param.name.toUpperCase(), param.type);
+    if (param.isArray) {
+      localArrays.add(param.name.toUpperCase());
+    }
+  }
+
+  const shadowed = new Set(
+    [...locals, ...procedure.params.map((param) => param.name)].map((name) =>
+      name.toUpperCase()
+    )
+  );
+  const referenced = collectReferencedNames(procedure.body);
+  const globals = [...context.globals].filter(
+    (name) => !shadowed.has(name.toUpperCase()) && referenced.has(name.toUpperCase())
+  );
+
+  const lines = [
+    `def ${procedure.name}(${procedure.params.map((param) => param.name).join(", ")}):`,
+  ];
+  if (globals.length > 0) {
+    lines.push(`${indentText(1)}global ${globals.join(", ")}`);
+  }
+  if (procedure.kind === "FUNCTION") {
+    lines.push(`${indentText(1)}_result = ${defaultValueForType(procedure.returnType, context)}`);
+  }
+
+  const procedureContext = {
+    ...context,
+    localArrays,
+    localTypes,
+    localStringLengths,
+    procedure,
+    pending: [],
+    loops: [],
+  };
+
+  const returnStatement = procedureReturn(procedure);
+  if (jumps.needsLowering) {
+    procedureContext.jumps = createJumpTable(jumps, null);
+    lines.push(`${indentText(1)}_pc = 0`);
+    lines.push(
+      ...transpileLoweredBlock(procedure.body, 1, procedureContext, returnStatement)
+    );
+  } else {
+    const body = transpileBody(procedure.body, 1, procedureContext);
+    trimTrailingBlankLines(body.lines);
+    lines.push(...body.lines);
+    if (returnStatement !== "return") {
+      lines.push(`${indentText(1)}${returnStatement}`);
+    } else if (!body.hasCode) {
+      lines.push(`${indentText(1)}pass`);
+    }
+  }
+  context.tempCount = procedureContext.tempCount;
+
+  return lines;
+}
 
-    return { lines, indent: Math.max(0, indent - 1) };
+function transpileLoweredMain(statements, jumps, context) {
+  const globals = [...context.globals];
+  const output = ["def _main(_pc=0):"];
+  if (globals.length > 0) {
+    output.push(`${indentText(1)}global ${globals.join(", ")}`);
   }
 
-  lines.push(`${indentText(indent)}${transpileSimpleStatement(trimmed)}`);
-  return { lines, indent };
+  context.jumps = createJumpTable(jumps, "_main");
+  output.push(...transpileLoweredBlock(statements, 1, context, "return"));
+  context.jumps = null;
+
+  output.push("", "", "_main()");
+  return output;
 }
 
-function transpileSimpleStatement(trimmed) {
-  if (/^PRINT\b/i.test(trimmed)) {
-    const expr = replaceInCalls(trimmed.replace(/^PRINT\b\s*/i, ""));
-    if (!expr) {
-      return 'print(end="")';
+function transpileLoweredBlock(statements, baseIndent, context, finalStatement) {
+  const output = [
+    `${indentText(baseIndent)}while True:`,
+    `${indentText(baseIndent + 1)}try:`,
+  ];
+  const segments = [{ id: 0, statements: [] }];
+
+  for (const statement of statements) {
+    const id = context.jumps.segmentStarts.get(statement);
+    if (id !== undefined) {
+      segments.push({ id, statements: [] });
     }
-    return `print(${expr}, end="")`;
+    segments[segments.length - 1].statements.push(statement);
   }
 
-  if (/^DEBUG\b/i.test(trimmed)) {
-    const expr = replaceInCalls(trimmed.replace(/^DEBUG\b\s*/i, ""));
-    return transpileDebug(expr);
+  for (const segment of segments) {
+    output.push(`${indentText(baseIndent + 2)}if _pc <= ${segment.id}:`);
+    transpileBlockBody(segment.statements, baseIndent + 3, context, output);
   }
 
-  if (/^DELAY\b/i.test(trimmed)) {
-    const expr = replaceInCalls(trimmed.replace(/^DELAY\b\s*/i, ""));
-    if (!expr) {
-      return "time.sleep_ms(0)";
+  output.push(
+    `${indentText(baseIndent + 2)}${finalStatement}`,
+    `${indentText(baseIndent + 1)}except _Jump as jump:`,
+    `${indentText(baseIndent + 2)}_pc = jump.target`
+  );
+  return output;
+}
+
+function scanJumps(statements) {
+  const labels = new Map();
+  const targets = new Set();
+  let hasReturn = false;
+
+  for (const statement of statements) {
+    if (statement.type === "Label") {
+      labels.set(statement.name.toUpperCase(), { statement, nested: false });
     }
-    return `time.sleep_ms(${expr})`;
   }
 
-  if (/^OUTPUT\b/i.test(trimmed)) {
-    const expr = replaceInCalls(trimmed.replace(/^OUTPUT\b\s*/i, ""));
-    if (!expr) {
-      return "_gpio_out()";
+  walk(statements, (node) => {
+    if (node.type === "Label" && !labels.has(node.name.toUpperCase())) {
+      labels.set(node.name.toUpperCase(), { statement: node, nested: true });
+    } else if ((node.type === "GoTo" || node.type === "GoSub" || node.type === "OnEvent") && node.target) {
+      targets.add(node.target.toUpperCase());
+    } else if (node.type === "Return") {
+      hasReturn = true;
     }
-    return `_gpio_out(${expr.trim()})`;
+  });
+
+  return {
+    labels,
+    targets,
+    needsLowering: targets.size > 0 || hasReturn,
+  };
+}
+
+function createJumpTable(jumps, gosubName) {
+  const table = {
+    targets: new Map(),
+    nested: new Set(),
+    segmentStarts: new Map(),
+    gosubName,
+  };
+
+  for (const [key, label] of jumps.labels) {
+    if (!jumps.targets.has(key)) {
+      continue;
+    }
+    if (label.nested) {
+      table.nested.add(key);
+      continue;
+    }
+    const id = table.segmentStarts.size + 1;
+    table.segmentStarts.set(label.statement, id);
+    table.targets.set(key, id);
+  }
+
+  return table;
+}
+
+function transpileJump(statement, context) {
+  const name = statement.type === "OnEvent" ? "GoSub" : statement.type;
+  const target = statement.target;
+  const key = target.toUpperCase();
+  const jumps = context.jumps;
+
+  if (jumps && jumps.nested.has(key)) {
+    addDiagnostic(
+      context,
+      "error",
+      statement.targetRange,
+      "unreachable-label",
+      `${name} target '${target}' is inside a block and cannot be reached.`
+    );
+    return `raise RuntimeError("${name} target '${target}' is inside a block and cannot be reached")`;
+  }
+
+  const local = jumps && jumps.targets.has(key);
+  if (!local && context.procedure && context.mainLabels.has(key)) {
+    const gosub = name === "GoSub";
+    const message = gosub ? "GoSub is only supported in the main program" : `${name} out of a Sub or Function is not supported`;
+    addDiagnostic(context, "error", statement.range, gosub ? "unsupported-gosub" : "unsupported-goto", `${message}.`);
+    return `raise RuntimeError("${message}")`;
   }
 
-  if (/^DIM\b/i.test(trimmed)) {
-    const dimLine = trimmed.replace(/^DIM\b\s*/i, "");
-    return transpileDim(dimLine);
+  if (!local) {
+    addDiagnostic(context, "error", statement.targetRange, "undefined-label", `${name} target '${target}' is not defined.`);
+    return `raise RuntimeError("${name} target '${target}' is not defined")`;
   }
 
-  if (/^INPUT\b/i.test(trimmed)) {
-    const expr = replaceInCalls(trimmed.replace(/^INPUT\b\s*/i, ""));
-    if (!expr) {
-      return "_gpio_in()";
+  const id = jumps.targets.get(key);
+  if (name === "GoSub") {
+    if (!jumps.gosubName) {
+      addDiagnostic(context, "error", statement.range, "unsupported-gosub", "GoSub is only supported in the main program.");
+      return `raise RuntimeError("GoSub is only supported in the main program")`;
     }
-    if (expr.includes(",") || expr.includes('"')) {
-      const parts = expr.split(",");
-      if (parts.length === 1) {
-        return `${parts[0].trim()} = input()`;
+    return `${jumps.gosubName}(${id})`;
+  }
+
+  if (context.loops.length > 0) {
+    return `raise _Jump(${id})`;
+  }
+  return `_pc = ${id}; continue`;
+}
+
+function procedureReturn(procedure) {
+  const values = procedure.params
+    .filter((param) => param.byRef && !param.isArray)
+    .map((param) => param.name);
+
+  if (procedure.kind === "FUNCTION") {
+    values.unshift("_result");
+  }
+
+  if (values.length === 0) {
+    return "return";
+  }
+
+  return `return ${values.join(", ")}`;
+}
+
+function hasWriteBack(procedure) {
+  return procedure.params.some((param) => param.byRef && !param.isArray);
+}
+
+function transpileStatement(statement, indent, context, lines) {
+  const start = lines.length;
+  const hasCode = transpileStatementLines(statement, indent, context, lines);
+  markLines(lines, start, statement);
+  return hasCode;
+}
+
+function transpileStatementLines(statement, indent, context, lines) {
+  switch (statement.type) {
+    case "Comment":
+      lines.push(`${indentText(indent)}${formatComment(statement.text)}`);
+      return false;
+    case "Label":
+      if (!statement.numeric) {
+        lines.push(`${indentText(indent)}# ${statement.name}:${formatTrailingComment(statement.comment)}`);
+      } else if (statement.comment) {
+        lines.push(`${indentText(indent)}${formatComment(statement.comment)}`);
       }
-      const prompt = parts.slice(0, -1).join(",").trim();
-      const target = parts[parts.length - 1].trim();
-      return `${target} = input(${prompt})`;
+      return false;
+    case "If":
+      transpileIf(statement, indent, context, lines);
+      return true;
+    case "For":
+      transpileFor(statement, indent, context, lines);
+      return true;
+    case "DoLoop":
+      transpileDoLoop(statement, indent, context, lines);
+      return true;
+    case "While":
+      transpileWhile(statement, indent, context, lines);
+      return true;
+    case "Select":
+      transpileSelect(statement, indent, context, lines);
+      return true;
+    case "Type":
+      transpileType(statement, indent, context, lines);
+      return false;
+    case "With":
+      addDiagnostic(context, "error", statement.range, "unsupported-statement", "With blocks are not supported; statement was not transpiled.");
+      lines.push(`${indentText(indent)}# ${sourceLine(statement, context)}`);
+      lines.push(...transpileBody(statement.body, indent, context).lines);
+      lines.push(`${indentText(indent)}# End With`);
+      return true;
+    case "Procedure":
+      addDiagnostic(
+        context,
+        "error",
+        statement.nameRange || statement.range,
+        "nested-procedure",
+        "Nested Sub and Function declarations are not supported."
+      );
+      lines.push(`${indentText(indent)}# ${sourceLine(statement, context)}  # Nested procedure`);
+      return false;
+    case "Const":
+      return false;
+    case "Dim":
+      return transpileDim(statement, indent, context, lines);
+    default: {
+      const text = withCallsInOrder(statement, context, () => transpileSimpleStatement(statement, context));
+      emitLine(lines, indent, `${text}${formatTrailingComment(statement.comment)}`, context);
+      return !text.startsWith("#");
+    }
+  }
+}
+
+function emitLine(lines, indent, text, context) {
+  for (const pending of context.pending) {
+    lines.push(`${indentText(indent)}${pending}`);
+  }
+  context.pending.length = 0;
+  lines.push(`${indentText(indent)}${text}`);
+}
+
+function emitPending(lines, indent, pending) {
+  for (const text of pending) {
+    lines.push(`${indentText(indent)}${text}`);
+  }
+}
+
+// ByRef write-backs are hoisted onto lines before the statement. Once a statement has one, every
+// procedure call in it is hoisted too, so the calls still run in source order.
+function withCallsInOrder(node, context, callback) {
+  if (context.hoistCalls || !hasWriteBackCall(node, context)) {
+    return callback();
+  }
+  context.hoistCalls = true;
+  try {
+    return callback();
+  } finally {
+    context.hoistCalls = false;
+  }
+}
+
+function hasWriteBackCall(node, context) {
+  let found = false;
+  walk(node, (child) => {
+    if (child.type !== "CallExpression") {
+      return;
+    }
+    const upper = child.name.toUpperCase();
+    const procedure = context.procedures.get(upper);
+    if (procedure && !isArrayName(upper, context) && hasWriteBack(procedure)) {
+      found = true;
     }
-    return `_gpio_in(${expr.trim()})`;
+  });
+  return found;
+}
+
+// Translates a condition that is not emitted with emitLine (ElseIf, Case and loop conditions) and
+// returns its hoisted lines so the caller can place them where the condition is evaluated.
+function translateCondition(node, context, translate) {
+  const previous = context.pending;
+  context.pending = [];
+  try {
+    const text = withCallsInOrder(node, context, translate);
+    return { text, pending: context.pending };
+  } finally {
+    context.pending = previous;
   }
+}
+
+function formatComment(text) {
+  return text ? `# ${text}` : "#";
+}
+
+function formatTrailingComment(comment) {
+  return comment ? `  # ${comment}` : "";
+}
 
-  if (/^OUT\b/i.test(trimmed)) {
-    const expr = replaceInCalls(trimmed.replace(/^OUT\b\s*/i, ""));
-    if (!expr) {
-      return "_gpio_out()";
+function transpileIf(statement, indent, context, lines) {
+  const condition = translateExpression(statement.condition, context);
+  emitLine(lines, indent, `if ${condition}:${formatTrailingComment(statement.comment)}`, context);
+
+  if (statement.inline) {
+    transpileBlockBody(statement.consequent, indent + 1, context, lines);
+    if (statement.alternate) {
+      lines.push(`${indentText(indent)}else:`);
+      transpileBlockBody(statement.alternate, indent + 1, context, lines);
     }
-    const commaIndex = expr.indexOf(",");
-    if (commaIndex === -1) {
-      return `_gpio_out(${expr.trim()})`;
+    return;
+  }
+
+  transpileBlockBody(statement.consequent, indent + 1, context, lines);
+  let level = indent;
+  for (const clause of statement.alternates) {
+    const start = lines.length;
+    const condition = translateCondition(clause.condition, context, () =>
+      translateExpression(clause.condition, context)
+    );
+    const comment = formatTrailingComment(clause.comment);
+    if (condition.pending.length > 0) {
+      lines.push(`${indentText(level)}else:`);
+      level += 1;
+      emitPending(lines, level, condition.pending);
+      lines.push(`${indentText(level)}if ${condition.text}:${comment}`);
+    } else {
+      lines.push(`${indentText(level)}elif ${condition.text}:${comment}`);
     }
-    const port = expr.slice(0, commaIndex).trim();
-    const value = expr.slice(commaIndex + 1).trim();
-    return `_gpio_out(${port}, ${value})`;
+    markLines(lines, start, clause);
+    transpileBlockBody(clause.body, level + 1, context, lines);
+  }
+  if (statement.alternate) {
+    lines.push(`${indentText(level)}else:${formatTrailingComment(statement.elseComment)}`);
+    markLines(lines, lines.length - 1, { range: statement.elseRange });
+    transpileBlockBody(statement.alternate, level + 1, context, lines);
   }
+}
 
-  if (/^LET\b/i.test(trimmed)) {
-    return replaceInCalls(trimmed.replace(/^LET\b\s*/i, ""));
+function transpileFor(statement, indent, context, lines) {
+  if (!statement.variable || !statement.start || !statement.end) {
+    addDiagnostic(context, "error", statement.range, "invalid-for", "For header was not transpiled; its body runs once.");
+    lines.push(`${indentText(indent)}# ${sourceLine(statement, context)}  # Invalid For`);
+    lines.push(...transpileBody(statement.body, indent, context).lines);
+    return;
   }
 
-  if (/^[A-Za-z_][A-Za-z0-9_]*\s*=/.test(trimmed)) {
-    return replaceInCalls(trimmed);
+  const variable = statement.variable.name;
+  const [startExpr, endExpr, stepExpr] = withCallsInOrder([statement.start, statement.end, statement.step], context, () => [
+    translateExpression(statement.start, context),
+    translateExpression(statement.end, context),
+    statement.step ? translateExpression(statement.step, context) : "1",
+  ]);
+
+  const endName = isNumericLiteral(endExpr) ? endExpr : `_for_${variable}_end`;
+  const stepName = isNumericLiteral(stepExpr) ? stepExpr : `_for_${variable}_step`;
+
+  const start = convertForTarget(
+    { type: "Identifier", name: variable },
+    statement.start,
+    startExpr,
+    context
+  );
+  emitLine(lines, indent, `${variable} = ${start}${formatTrailingComment(statement.comment)}`, context);
+  if (endName !== endExpr) {
+    lines.push(`${indentText(indent)}${endName} = ${endExpr}`);
+  }
+  if (stepName !== stepExpr) {
+    lines.push(`${indentText(indent)}${stepName} = ${stepExpr}`);
   }
 
-  return `# ${replaceInCalls(trimmed)}`;
+  let condition;
+  if (stepName !== stepExpr) {
+    condition = `(${variable} <= ${endName}) if ${stepName} >= 0 else (${variable} >= ${endName})`;
+  } else if (Number.parseFloat(stepExpr) < 0) {
+    condition = `${variable} >= ${endName}`;
+  } else {
+    condition = `${variable} <= ${endName}`;
+  }
+
+  const header = lines.length;
+  lines.push(`${indentText(indent)}while ${condition}:`);
+  const loop = enterLoop(context, "FOR");
+  const body = transpileBody(statement.body, indent + 1, context);
+  trimTrailingBlankLines(body.lines);
+  lines.push(...body.lines);
+  lines.push(`${indentText(indent + 1)}${transpileForIncrement(statement, stepName, context)}`);
+  leaveLoop(context, loop, indent, lines, header);
 }
 
-function transpileDim(dimLine) {
-  if (!dimLine) {
-    return "# Dim";
+function transpileForIncrement(statement, stepName, context) {
+  const variable = statement.variable.name;
+  if (!context.exactArithmetic) {
+    return `${variable} += ${stepName}`;
   }
+  // Wrap the counter like any other assignment to it, so a Byte or Integer loop stays in range.
+  const target = { type: "Identifier", name: variable };
+  const increment = { type: "Binary", operator: "+", left: target, right: statement.step };
+  return `${variable} = ${convertForTarget(target, increment, `${variable} + ${stepName}`, context)}`;
+}
 
-  if (hasTopLevelComma(dimLine)) {
-    return `# Dim ${dimLine}  # Multi-declarations not supported`;
+function isNumericLiteral(text) {
+  return /^[+-]?\d+(\.\d+)?$/.test(text);
+}
+
+function transpileDoLoop(statement, indent, context, lines) {
+  const pre = statement.preCondition;
+  const post = statement.postCondition;
+  const comment = formatTrailingComment(statement.comment);
+  const header = lines.length;
+
+  if (pre) {
+    const condition = translateCondition(pre.expression, context, () => translateExpression(pre.expression, context));
+    pushWhileHeader(lines, indent, condition, pre.kind === "UNTIL", comment);
+  } else {
+    lines.push(`${indentText(indent)}while True:${comment}`);
   }
 
-  let cursor = 0;
-  const name = parseIdentifier(dimLine, cursor);
-  if (!name) {
-    return `# Dim ${dimLine}`;
+  const loop = enterLoop(context, "DO");
+  const body = transpileBody(statement.body, indent + 1, context);
+  trimTrailingBlankLines(body.lines);
+  lines.push(...body.lines);
+
+  if (post && !pre) {
+    const condition = translateCondition(post.expression, context, () => translateExpression(post.expression, context));
+    emitPending(lines, indent + 1, condition.pending);
+    lines.push(
+      post.kind === "WHILE"
+        ? `${indentText(indent + 1)}if not (${condition.text}):`
+        : `${indentText(indent + 1)}if (${condition.text}):`
+    );
+    lines.push(`${indentText(indent + 2)}break`);
+  } else if (!body.hasCode) {
+    lines.push(`${indentText(indent + 1)}pass`);
   }
+  leaveLoop(context, loop, indent, lines, header);
+}
 
-  cursor = name.end;
-  cursor = skipWhitespace(dimLine, cursor);
+function transpileWhile(statement, indent, context, lines) {
+  const condition = statement.condition
+    ? translateCondition(statement.condition, context, () => translateExpression(statement.condition, context))
+    : { text: "False", pending: [] };
+  const header = lines.length;
+  pushWhileHeader(lines, indent, condition, false, formatTrailingComment(statement.comment));
 
-  let arrayDims = null;
-  if (dimLine[cursor] === "(") {
-    const closeParen = findMatchingParen(dimLine, cursor);
-    if (closeParen === -1) {
-      return `# Dim ${dimLine}  # Missing )`;
-    }
-    arrayDims = dimLine.slice(cursor + 1, closeParen);
-    cursor = closeParen + 1;
+  const loop = enterLoop(context, "WHILE");
+  transpileBlockBody(statement.body, indent + 1, context, lines);
+  leaveLoop(context, loop, indent, lines, header);
+}
+
+// A condition with hoisted lines is checked at the top of each pass, after its lines run again.
+function pushWhileHeader(lines, indent, condition, until, comment) {
+  if (condition.pending.length === 0) {
+    lines.push(`${indentText(indent)}while ${until ? `not (${condition.text})` : condition.text}:${comment}`);
+    return;
+  }
+  lines.push(`${indentText(indent)}while True:${comment}`);
+  emitPending(lines, indent + 1, condition.pending);
+  lines.push(`${indentText(indent + 1)}if ${until ? `(${condition.text})` : `not (${condition.text})`}:`);
+  lines.push(`${indentText(indent + 2)}break`);
+}
+
+function enterLoop(context, kind) {
+  const loop = { kind, exitFlag: null, exitChecks: new Set() };
+  context.loops.push(loop);
+  return loop;
+}
+
+// An Exit that leaves several Python loops at once sets the target loop's flag; each loop it
+// passes through breaks again when the flag is set, and the flag is cleared before the target starts.
+function leaveLoop(context, loop, indent, lines, header) {
+  context.loops.pop();
+  for (const flag of loop.exitChecks) {
+    lines.push(`${indentText(indent)}if ${flag}:`);
+    lines.push(`${indentText(indent + 1)}break`);
+  }
+  if (loop.exitFlag) {
+    lines.splice(header, 0, `${indentText(indent)}${loop.exitFlag} = False`);
+  }
+}
+
+function transpileExitLoop(statement, context) {
+  const loops = context.loops;
+  let target = loops.length - 1;
+  while (target >= 0 && loops[target].kind !== statement.kind) {
+    target -= 1;
+  }
+  if (target < 0) {
+    addDiagnostic(context, "warning", statement.range, "exit-outside-loop", "Exit outside of a matching loop was not transpiled.");
+    return `# ${sourceText(statement.range, context)}  # Exit outside of loop`;
+  }
+  if (target === loops.length - 1) {
+    return "break";
   }
 
-  cursor = skipWhitespace(dimLine, cursor);
-  const asMatch = /^AS\b/i.exec(dimLine.slice(cursor));
-  if (!asMatch) {
-    return `# Dim ${dimLine}  # Missing As`;
+  const loop = loops[target];
+  if (!loop.exitFlag) {
+    context.tempCount += 1;
+    loop.exitFlag = `_exit_${context.tempCount}`;
+  }
+  for (const inner of loops.slice(target + 1)) {
+    inner.exitChecks.add(loop.exitFlag);
   }
+  return `${loop.exitFlag} = True; break`;
+}
 
-  cursor += asMatch[0].length;
-  cursor = skipWhitespace(dimLine, cursor);
-  const typeToken = parseIdentifier(dimLine, cursor);
-  if (!typeToken) {
-    return `# Dim ${dimLine}  # Missing Type`;
+function transpileSelect(statement, indent, context, lines) {
+  if (!statement.subject) {
+    addDiagnostic(context, "error", statement.range, "invalid-select", "Select Case without an expression was not transpiled.");
+    lines.push(`${indentText(indent)}# ${sourceLine(statement, context)}  # Select requires Case expression`);
+    return;
   }
 
-  const typeName = typeToken.name.toUpperCase();
-  const defaultValue = defaultValueForType(typeName);
-  cursor = typeToken.end;
-  cursor = skipWhitespace(dimLine, cursor);
+  context.tempCount += 1;
+  const subject = `_select_${context.tempCount}`;
+  emitLine(
+    lines,
+    indent,
+    `${subject} = ${translateExpression(statement.subject, context)}${formatTrailingComment(
+      statement.comment
+    )}`,
+    context
+  );
+
+  let arms = 0;
+  let level = indent;
+  let hasElse = false;
+  for (const arm of statement.cases) {
+    if (hasElse) {
+      addDiagnostic(context, "warning", arm.range, "unreachable-case", "Case after Case Else is never reached.");
+      lines.push(`${indentText(level)}# ${sourceLine(arm, context)}  # Case after Case Else is never reached`);
+      continue;
+    }
 
-  let lengthComment = "";
-  if (dimLine[cursor] === "*") {
-    cursor = skipWhitespace(dimLine, cursor + 1);
-    const lenToken = parseIdentifier(dimLine, cursor);
-    if (lenToken) {
-      lengthComment = `  # String length ${dimLine.slice(
-        lenToken.start,
-        lenToken.end
-      )}`;
+    const start = lines.length;
+    let header;
+    if (arm.isElse) {
+      header = arms === 0 ? "if True:" : "else:";
+      hasElse = true;
+    } else {
+      const condition = translateCondition(arm.tests, context, () =>
+        translateCaseCondition(arm.tests, subject, context)
+      );
+      if (condition.pending.length > 0 && arms > 0) {
+        lines.push(`${indentText(level)}else:`);
+        level += 1;
+      }
+      emitPending(lines, level, condition.pending);
+      header = `${arms === 0 || condition.pending.length > 0 ? "if" : "elif"} ${condition.text}:`;
     }
+    arms += 1;
+
+    lines.push(`${indentText(level)}${header}${formatTrailingComment(arm.comment)}`);
+    markLines(lines, start, arm);
+    transpileBlockBody(arm.body, level + 1, context, lines);
   }
+}
+
+function translateCaseCondition(tests, subject, context) {
+  const conditions = tests.map((test) => {
+    if (test.kind === "is") {
+      const value = comparisonOperand(test.expression, context);
+      return `${subject} ${COMPARISON_OPERATORS[test.operator]} ${value}`;
+    }
+    if (test.kind === "range") {
+      const low = comparisonOperand(test.low, context);
+      const high = comparisonOperand(test.high, context);
+      return `${low} <= ${subject} <= ${high}`;
+    }
+    return `${subject} == ${comparisonOperand(test.expression, context)}`;
+  });
 
-  if (!arrayDims) {
-    return `${name.name} = ${defaultValue}${lengthComment}`;
+  return conditions.length > 0 ? conditions.join(" or ") : "False";
+}
+
+function transpileType(statement, indent, context, lines) {
+  addDiagnostic(context, "warning", statement.range, "unsupported-type", "Type declarations are not supported and were not transpiled.");
+  lines.push(`${indentText(indent)}# ${statement.text}`);
+  for (const member of statement.body) {
+    lines.push(`${indentText(indent)}# ${member.text}`);
   }
+  lines.push(`${indentText(indent)}# End Type`);
+}
 
-  const dims = arrayDims
-    .split(",")
-    .map((part) => part.trim())
-    .filter(Boolean);
+function transpileSimpleStatement(statement, context) {
+  switch (statement.type) {
+    case "Exit":
+      if (statement.kind === "SUB" || statement.kind === "FUNCTION") {
+        if (!context.procedure) {
+          addDiagnostic(context, "warning", statement.range, "exit-outside-procedure", "Exit outside of Sub or Function was not transpiled.");
+          return `# ${sourceText(statement.range, context)}  # Exit outside of Sub/Function`;
+        }
+        return procedureReturn(context.procedure);
+      }
+      return transpileExitLoop(statement, context);
+    case "GoTo":
+    case "GoSub":
+      return transpileJump(statement, context);
+    case "Return":
+      if (context.procedure) {
+        return procedureReturn(context.procedure);
+      }
+      if (!context.jumps) {
+        addDiagnostic(context, "warning", statement.range, "return-without-gosub", "Return without GoSub was not transpiled.");
+        return "# Return  # Return without GoSub";
+      }
+      return "return";
+    case "End":
+      return "raise SystemExit";
+    case "Debug":
+      return transpileDebug(statement, context);
+    case "PutStr":
+      return transpilePutStr(statement, context);
+    case "Set":
+      return transpileSet(statement, context);
+    case "OnEvent":
+      return transpileOnEvent(statement, context);
+    case "Command":
+      return transpileCommand(statement, context);
+    case "Assignment":
+      return transpileAssignment(statement, context);
+    case "Call":
+      return transpileCallStatement(statement, context);
+    default:
+      addDiagnostic(context, "error", statement.range, "unsupported-statement", "Statement was not transpiled.");
+      return `# ${statement.text || sourceText(statement.range, context)}`;
+  }
+}
 
-  if (dims.length === 0) {
-    return `# Dim ${dimLine}  # Empty dimensions`;
+function transpileCommand(statement, context) {
+  const args = statement.args.map((arg) => translateExpression(arg, context));
+
+  switch (statement.name) {
+    case "PRINT":
+      return args.length > 0 ? `print(${args.join(", ")}, end="")` : 'print(end="")';
+    case "DELAY":
+      return `time.sleep_ms(${args.length > 0 ? args[0] : "0"})`;
+    case "OUT":
+    case "OUTPUT":
+      context.helpers.add("_gpio_out");
+      return `_gpio_out(${args.join(", ")})`;
+    case "INPUT":
+      if (args.length > 1 || statement.args.some((arg) => arg.type === "String")) {
+        const target = args[args.length - 1];
+        const value = `input(${args.slice(0, -1).join(", ")})`;
+        return `${target} = ${convertForTarget(statement.args[args.length - 1], null, value, context)}`;
+      }
+      context.helpers.add("_gpio_in");
+      return `_gpio_in(${args.join(", ")})`;
+    case "GETSTR":
+      if (args.length === 3) {
+        const value = `_getstr(${args[0]}, ${args[2]})`;
+        context.helpers.add("_getstr");
+        return `${args[1]} = ${convertForTarget(statement.args[1], null, value, context)}`;
+      }
+      break;
+    default:
+      if (COMMAND_HELPERS[statement.name]) {
+        context.helpers.add(COMMAND_HELPERS[statement.name]);
+        return `${COMMAND_HELPERS[statement.name]}(${args.join(", ")})`;
+      }
+      break;
   }
 
-  const dimExprs = dims.map((dim) => adjustDimension(dim));
-  return `${name.name} = create_array([${dimExprs.join(", ")}], ${defaultValue})${lengthComment}`;
+  addDiagnostic(context, "error", statement.range, "unsupported-statement", "Statement was not transpiled.");
+  return `# ${sourceText(statement.range, context)}`;
 }
 
-function transpileDebug(expr) {
-  if (!expr) {
-    return 'print(end="")';
+function transpileAssignment(statement, context) {
+  const access = statement.target.type === "Member" ? bitMemberAccess(statement.target, context) : null;
+  if (access) {
+    return transpileBitMemberAssignment(statement, access, context);
   }
+  const target = translateExpression(statement.target, context);
+  const value = translateExpression(statement.value, context);
+  return `${target} = ${convertForTarget(statement.target, statement.value, value, context)}`;
+}
 
-  const parts = splitTopLevelArgs(expr);
-  const pythonParts = [];
+function transpileBitMemberAssignment(statement, access, context) {
+  const member = statement.target;
+  if (access.error) {
+    addDiagnostic(context, "error", member.memberRange, "invalid-member", access.error);
+    return `# ${sourceText(statement.range, context)}`;
+  }
 
-  for (const rawPart of parts) {
-    const part = rawPart.trim();
-    if (!part) {
-      continue;
+  const { offset, size } = access.member;
+  const object = translateExpression(member.object, context);
+  const info = translateNode(statement.value, context);
+  const value = info.precedence <= PYTHON_PRECEDENCE["&"] ? `(${info.text})` : info.text;
+  let result = `${object} & ~${hexMask(size, offset)} | (${value} & ${hexMask(size, 0)})${offset > 0 ? ` << ${offset}` : ""}`;
+  // Writing bit 31 of a Long must keep the value signed.
+  if (variableType(member.object.name, context) === "LONG" && offset + size === 32) {
+    context.helpers.add("_long");
+    result = `_long(${result})`;
+  }
+  return `${object} = ${result}`;
+}
+
+function convertForTarget(targetNode, valueNode, value, context) {
+  const type =
+    targetNode.type === "Identifier" || targetNode.type === "CallExpression"
+      ? variableType(targetNode.name, context)
+      : null;
+
+  if (type === "STRING") {
+    const length = variableStringLength(targetNode.name, context);
+    if (length === null || (valueNode && valueNode.type === "String" && valueNode.value.length <= length)) {
+      return value;
     }
+    const simple = !valueNode || ["Identifier", "CallExpression", "String", "Paren"].includes(valueNode.type);
+    return `${simple ? value : `(${value})`}[:${length}]`;
+  }
 
-    const control = parseDebugControl(part);
-    if (control) {
-      pythonParts.push(control);
-      continue;
+  if (!context.exactArithmetic || !valueNode) {
+    return value;
+  }
+
+  if (type === "SINGLE") {
+    return valueNode.type === "Number" && !Number.isInteger(valueNode.value) ? value : `float(${value})`;
+  }
+
+  const range = TYPE_RANGES[type];
+  if (!range) {
+    return value;
+  }
+  const constant = integerConstant(valueNode);
+  if (constant !== null && constant >= range.min && constant <= range.max) {
+    return value;
+  }
+  context.helpers.add(range.helper);
+  return `${range.helper}(${value})`;
+}
+
+function integerConstant(node) {
+  if (node.type === "Unary" && node.operator === "-") {
+    const value = integerConstant(node.argument);
+    return value === null ? null : -value;
+  }
+  return node.type === "Number" && Number.isInteger(node.value) ? node.value : null;
+}
+
+function transpileCallStatement(statement, context) {
+  const procedure = context.procedures.get(statement.name.toUpperCase());
+  if (!procedure) {
+    addDiagnostic(
+      context,
+      "error",
+      statement.nameRange,
+      "unknown-procedure",
+      `'${statement.name}' is not a Sub or supported command; statement was not transpiled.`
+    );
+    return `# ${statement.text}`;
+  }
+
+  const args = statement.args.map((arg) => translateExpression(arg, context));
+  const call = `${procedure.name}(${args.join(", ")})`;
+
+  if (!hasWriteBack(procedure)) {
+    return call;
+  }
+
+  const targets = writeBackTargets(procedure, statement.args, context);
+  if (procedure.kind === "FUNCTION") {
+    targets.unshift("_");
+  }
+  return `${targets.join(", ")} = ${call}`;
+}
+
+function transpileCallExpression(procedure, argNodes, context) {
+  const args = argNodes.map((arg) => translateExpression(arg, context));
+  const call = `${procedure.name}(${args.join(", ")})`;
+
+  if (!hasWriteBack(procedure) && !context.hoistCalls) {
+    return call;
+  }
+
+  context.tempCount += 1;
+  const temp = `_t${context.tempCount}`;
+  const targets = hasWriteBack(procedure) ? writeBackTargets(procedure, argNodes, context) : [];
+  context.pending.push(`${[temp, ...targets].join(", ")} = ${call}`);
+  return temp;
+}
+
+function writeBackTargets(procedure, argNodes, context) {
+  const targets = [];
+
+  procedure.params.forEach((param, index) => {
+    if (!param.byRef || param.isArray) {
+      return;
     }
+    const arg = argNodes[index];
+    targets.push(arg && isAssignable(arg, context) ? translateExpression(arg, context) : "_");
+  });
 
-    const formatted = parseDebugFormat(part);
-    if (formatted) {
-      pythonParts.push(formatted);
-      continue;
+  return targets;
+}
+
+function isAssignable(node, context) {
+  const upper = node.name ? node.name.toUpperCase() : null;
+  if (node.type === "Identifier") {
+    return !context.procedures.has(upper) && !isArrayName(upper, context);
+  }
+  return node.type === "CallExpression" && isArrayName(upper, context);
+}
+
+function isArrayName(upperName, context) {
+  return context.localArrays.has(upperName) || context.arrays.has(upperName);
+}
+
+function transpileDim(statement, indent, context, lines) {
+  if (statement.declarations.length === 0) {
+    addDiagnostic(context, "error", statement.range, "invalid-dim", "Dim was not transpiled.");
+    lines.push(`${indentText(indent)}# ${sourceLine(statement, context)}`);
+    return false;
+  }
+
+  statement.declarations.forEach((declaration, index) => {
+    const comment = index === statement.declarations.length - 1 ? statement.comment : null;
+    const defaultValue = defaultValueForType(declaration.typeName, context);
+    let text;
+    if (!declaration.dimensions) {
+      text = `${declaration.name} = ${defaultValue}`;
+    } else if (declaration.dimensions.length === 0) {
+      addDiagnostic(context, "error", declaration.nameRange, "invalid-dim", `Array ${declaration.name} has no dimensions and was not transpiled.`);
+      text = `# Dim ${declaration.name}()  # Empty dimensions`;
+    } else {
+      const dims = declaration.dimensions.map((dimension) => adjustDimension(dimension, context));
+      context.helpers.add("create_array");
+      text = `${declaration.name} = create_array([${dims.join(", ")}], ${defaultValue})`;
     }
+    lines.push(`${indentText(indent)}${text}${formatTrailingComment(comment)}`);
+  });
+  return true;
+}
 
-    pythonParts.push(part);
+function transpileDebug(statement, context) {
+  if (statement.items.length === 0) {
+    return 'print(end="")';
   }
 
-  if (pythonParts.length === 0) {
-    return "print()";
+  const parts = transpileDebugItems(statement.items, context);
+  return `print(${parts.join(", ")}, sep="", end="")`;
+}
+
+function transpilePutStr(statement, context) {
+  if (!statement.channel) {
+    addDiagnostic(context, "error", statement.range, "unsupported-statement", "Statement was not transpiled.");
+    return `# ${sourceText(statement.range, context)}`;
   }
 
-  return `print(${pythonParts.join(", ")}, sep="", end="")`;
+  const channel = translateExpression(statement.channel, context);
+  const parts = transpileDebugItems(statement.items, context);
+  context.helpers.add("_putstr");
+  return `_putstr(${[channel, ...parts].join(", ")})`;
 }
 
-function parseDebugControl(part) {
-  const upper = part.toUpperCase();
-  if (upper === "CR") {
-    return '"\\r\\n"';
+function transpileOnEvent(statement, context) {
+  if (!statement.target) {
+    addDiagnostic(context, "error", statement.range, "unsupported-statement", "Statement was not transpiled.");
+    return `# ${sourceText(statement.range, context)}`;
   }
-  if (upper === "LF") {
-    return '"\\n"';
+
+  const call = transpileJump(statement, context);
+  if (call.startsWith("raise ")) {
+    return call;
+  }
+
+  const handler = `lambda: ${call}`;
+  if (statement.event === "TIMER") {
+    context.helpers.add("_on_timer");
+    return `_on_timer(${translateExpression(statement.interval, context)}, ${handler})`;
   }
-  return null;
+  const helper = statement.event === "INT" ? "_on_int" : "_on_recv";
+  context.helpers.add(helper);
+  return `${helper}(${statement.number}, ${handler})`;
 }
 
-function parseDebugFormat(part) {
-  const match = /^(DEC|HEX)(\d+)?(\?)?\s+(.+)$/i.exec(part);
-  if (!match) {
-    return null;
+function transpileSet(statement, context) {
+  const event = /^ON(TIMER|INT\d|RECV\d)$/.exec(statement.name);
+  if (event && statement.args.length === 1) {
+    const arg = statement.args[0];
+    const enabled =
+      arg.type === "Identifier" && ["ON", "OFF"].includes(arg.name.toUpperCase())
+        ? arg.name.toUpperCase() === "ON"
+          ? "True"
+          : "False"
+        : `bool(${translateExpression(arg, context)})`;
+    context.helpers.add("_set_event");
+    return `_set_event("${event[1].toLowerCase()}", ${enabled})`;
+  }
+
+  const interrupt = /^INT(\d)$/.exec(statement.name);
+  if (interrupt && statement.args.length === 1) {
+    context.helpers.add("_set_int");
+    return `_set_int(${interrupt[1]}, ${translateExpression(statement.args[0], context)})`;
   }
 
-  const formatType = match[1].toUpperCase();
-  const width = match[2];
-  const showName = Boolean(match[3]);
-  const expr = match[4].trim();
-  const nameMatch = /^[A-Za-z_][A-Za-z0-9_]*$/.exec(expr);
-  const name = nameMatch ? nameMatch[0] : null;
+  const helper = SET_HELPERS[statement.name];
+  if (!helper) {
+    addDiagnostic(context, "error", statement.keywordRange, "unsupported-statement", "Statement was not transpiled.");
+    return `# ${sourceText(statement.range, context)}`;
+  }
+
+  const args = statement.args.map((arg) => translateExpression(arg, context));
+  context.helpers.add(helper);
+  return `${helper}(${args.join(", ")})`;
+}
+
+function transpileDebugItems(items, context) {
+  return items.map((item) => {
+    if (item.kind === "control") {
+      return item.name === "CR" ? '"\\r\\n"' : '"\\n"';
+    }
+    if (item.kind === "format") {
+      return transpileDebugFormat(item, context);
+    }
+    return translateExpression(item.expression, context);
+  });
+}
+
+function transpileDebugFormat(item, context) {
+  const expr = translateExpression(item.expression, context);
 
   let formattedExpr;
-  if (formatType === "HEX") {
-    const widthSpec = width ? `0${width}X` : "X";
+  if (item.format === "HEX") {
+    const widthSpec = item.width ? `0${item.width}X` : "X";
     formattedExpr = `format(${expr}, "${widthSpec}")`;
+  } else if (item.width) {
+    formattedExpr = `format(${expr}, "0${item.width}d")`;
   } else {
-    if (width) {
-      formattedExpr = `format(${expr}, "0${width}d")`;
-    } else {
-      formattedExpr = `str(${expr})`;
-    }
+    formattedExpr = `str(${expr})`;
   }
 
-  if (showName && name) {
-    return `f"${name}={${formattedExpr}}"`;
+  if (item.showName && item.expression.type === "Identifier") {
+    return `f"${item.expression.name}={${formattedExpr}}"`;
   }
 
   return formattedExpr;
 }
 
-function defaultValueForType(typeName) {
+function defaultValueForType(typeName, context) {
   switch (typeName) {
+    case "SINGLE":
+      return context.exactArithmetic ? "0.0" : "0";
     case "BYTE":
     case "INTEGER":
     case "LONG":
-    case "SINGLE":
       return "0";
     case "STRING":
       return '""';
@@ -362,230 +1442,299 @@ function defaultValueForType(typeName) {
   }
 }
 
-function adjustDimension(dimText) {
-  if (/^\d+$/.test(dimText)) {
-    return String(Number.parseInt(dimText, 10) + 1);
+function adjustDimension(node, context) {
+  if (node.type === "Number" && Number.isInteger(node.value)) {
+    return String(node.value + 1);
   }
-  return `(${dimText}) + 1`;
+  return `(${translateExpression(node, context)}) + 1`;
 }
 
-function hasTopLevelComma(text) {
-  let depth = 0;
-  let inString = false;
-  for (let i = 0; i < text.length; i += 1) {
-    const ch = text[i];
-    if (inString) {
-      if (ch === '"') {
-        if (text[i + 1] === '"') {
-          i += 1;
-        } else {
-          inString = false;
-        }
-      }
-      continue;
-    }
-    if (ch === '"') {
-      inString = true;
-      continue;
-    }
-    if (ch === "(") {
-      depth += 1;
-      continue;
-    }
-    if (ch === ")") {
-      depth = Math.max(0, depth - 1);
-      continue;
-    }
-    if (ch === "," && depth === 0) {
-      return true;
+function translateExpression(node, context) {
+  return withCallsInOrder(node, context, () => translateNode(node, context).text);
+}
+
+function comparisonOperand(node, context) {
+  const info = translateNode(node, context);
+  return info.precedence <= PYTHON_PRECEDENCE.comparison ? `(${info.text})` : info.text;
+}
+
+function translateNode(node, context) {
+  switch (node.type) {
+    case "Number":
+      return {
+        text: translateNumber(node),
+        precedence: PYTHON_PRECEDENCE.atom,
+        type: Number.isInteger(node.value) && !/[.eE]/.test(node.raw) ? "INTEGER" : "SINGLE",
+        unsigned: node.value >= 0,
+      };
+    case "String":
+      return { text: JSON.stringify(node.value), precedence: PYTHON_PRECEDENCE.atom, type: "STRING" };
+    case "Paren": {
+      const inner = translateNode(node.expression, context);
+      return { ...inner, text: `(${inner.text})`, precedence: PYTHON_PRECEDENCE.atom };
     }
+    case "Identifier":
+      return {
+        text: translateIdentifier(node.name, context),
+        precedence: PYTHON_PRECEDENCE.atom,
+        type: variableType(node.name, context),
+        unsigned: variableType(node.name, context) === "BYTE",
+      };
+    case "CallExpression":
+      return translateCall(node, context);
+    case "Member":
+      return translateMember(node, context);
+    case "Unary":
+      return translateUnary(node, context);
+    case "Binary":
+      return translateBinary(node, context);
+    default:
+      addDiagnostic(context, "error", node.range, "unsupported-expression", "Expression was not transpiled.");
+      return { text: "None", precedence: PYTHON_PRECEDENCE.atom, type: null };
   }
-  return false;
 }
 
-function splitTopLevelArgs(text) {
-  const parts = [];
-  let current = "";
-  let depth = 0;
-  let inString = false;
-
-  for (let i = 0; i < text.length; i += 1) {
-    const ch = text[i];
-    if (inString) {
-      current += ch;
-      if (ch === '"') {
-        if (text[i + 1] === '"') {
-          current += text[i + 1];
-          i += 1;
-        } else {
-          inString = false;
-        }
-      }
-      continue;
-    }
+function translateMember(node, context) {
+  const access = bitMemberAccess(node, context);
+  if (!access) {
+    return {
+      text: `${translateExpression(node.object, context)}.${node.member}`,
+      precedence: PYTHON_PRECEDENCE.atom,
+      type: null,
+    };
+  }
+  if (access.error) {
+    addDiagnostic(context, "error", node.memberRange, "invalid-member", access.error);
+    return { text: "0", precedence: PYTHON_PRECEDENCE.atom, type: "BYTE", unsigned: true };
+  }
 
-    if (ch === '"') {
-      inString = true;
-      current += ch;
-      continue;
-    }
+  const { offset, size } = access.member;
+  const object = translateExpression(node.object, context);
+  return {
+    text: `${offset > 0 ? `${object} >> ${offset}` : object} & ${hexMask(size, 0)}`,
+    precedence: PYTHON_PRECEDENCE["&"],
+    type: size > 8 ? "INTEGER" : "BYTE",
+    unsigned: true,
+  };
+}
 
-    if (ch === "(") {
-      depth += 1;
-      current += ch;
-      continue;
-    }
+function bitMemberAccess(node, context) {
+  const object = node.object;
+  if (object.type !== "Identifier" && object.type !== "CallExpression") {
+    return null;
+  }
+  const type = variableType(object.name, context);
+  if (!type) {
+    return null;
+  }
+  return resolveBitMember(node.member, type, object.name);
+}
 
-    if (ch === ")") {
-      depth = Math.max(0, depth - 1);
-      current += ch;
-      continue;
+function hexMask(size, offset) {
+  return `0x${((2 ** size - 1) * 2 ** offset).toString(16).toUpperCase()}`;
+}
+
+function translateUnary(node, context) {
+  const argument = translateNode(node.argument, context);
+
+  if (node.operator === "NOT") {
+    if (argument.type === "BOOLEAN") {
+      return {
+        text: `not ${wrap(argument, PYTHON_PRECEDENCE.not)}`,
+        precedence: PYTHON_PRECEDENCE.not,
+        type: "BOOLEAN",
+      };
     }
+    return {
+      text: `~${wrap(argument, PYTHON_PRECEDENCE.unary)}`,
+      precedence: PYTHON_PRECEDENCE.unary,
+      type: argument.type,
+    };
+  }
 
-    if (ch === "," && depth === 0) {
-      parts.push(current);
-      current = "";
-      continue;
+  return {
+    text: `${node.operator}${wrap(argument, PYTHON_PRECEDENCE.unary)}`,
+    precedence: PYTHON_PRECEDENCE.unary,
+    type: argument.type,
+  };
+}
+
+function translateBinary(node, context) {
+  const left = translateNode(node.left, context);
+  const right = translateNode(node.right, context);
+  const operator = node.operator;
+
+  if (COMPARISON_OPERATORS[operator]) {
+    const precedence = PYTHON_PRECEDENCE.comparison;
+    return {
+      text: `${wrap(left, precedence + 1)} ${COMPARISON_OPERATORS[operator]} ${wrap(right, precedence + 1)}`,
+      precedence,
+      type: "BOOLEAN",
+    };
+  }
+
+  if (operator === "AND" || operator === "OR" || operator === "XOR") {
+    if (left.type === "BOOLEAN" && right.type === "BOOLEAN") {
+      if (operator === "XOR") {
+        return binaryInfo(left, "!=", right, PYTHON_PRECEDENCE.comparison, "BOOLEAN", true);
+      }
+      const logical = operator.toLowerCase();
+      return binaryInfo(left, logical, right, PYTHON_PRECEDENCE[logical], "BOOLEAN");
     }
+    const bitwise = { AND: "&", OR: "|", XOR: "^" }[operator];
+    return binaryInfo(left, bitwise, right, PYTHON_PRECEDENCE[bitwise], integerType(left, right));
+  }
+
+  if (operator === "/" || operator === "\\" || operator === "MOD") {
+    return translateDivision(operator, left, right, context);
+  }
 
-    current += ch;
+  if (operator === "^") {
+    return binaryInfo(left, "**", right, PYTHON_PRECEDENCE["**"], numericType(left, right), true);
   }
 
-  if (current) {
-    parts.push(current);
+  if (operator === "&") {
+    return binaryInfo(left, "+", right, PYTHON_PRECEDENCE["+"], "STRING");
   }
 
-  return parts;
+  const type = left.type === "STRING" || right.type === "STRING" ? "STRING" : numericType(left, right);
+  return binaryInfo(left, operator, right, PYTHON_PRECEDENCE[operator], type);
 }
 
-function parseIdentifier(text, startIndex) {
-  const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(startIndex));
-  if (!match) {
-    return null;
+function translateDivision(operator, left, right, context) {
+  const type = numericType(left, right);
+  const integer = INTEGER_TYPES.has(type);
+
+  if (operator === "/" && !integer) {
+    return binaryInfo(left, "/", right, PYTHON_PRECEDENCE["/"], type);
   }
+
+  if (left.unsigned && right.unsigned) {
+    const python = operator === "MOD" ? "%" : "//";
+    return binaryInfo(left, python, right, PYTHON_PRECEDENCE[python], type);
+  }
+
+  const helper = operator === "MOD" ? "_imod" : "_idiv";
+  context.helpers.add(helper);
   return {
-    name: match[0],
-    start: startIndex,
-    end: startIndex + match[0].length,
+    text: `${helper}(${left.text}, ${right.text})`,
+    precedence: PYTHON_PRECEDENCE.atom,
+    type,
   };
 }
 
-function skipWhitespace(text, index) {
-  let cursor = index;
-  while (cursor < text.length && /\s/.test(text[cursor])) {
-    cursor += 1;
-  }
-  return cursor;
+function binaryInfo(left, operator, right, precedence, type, nonAssociative) {
+  const leftText = wrap(left, nonAssociative ? precedence + 1 : precedence);
+  const rightText = wrap(right, precedence + 1);
+  return { text: `${leftText} ${operator} ${rightText}`, precedence, type };
 }
 
-function replaceInCalls(text) {
-  let result = "";
-  let inString = false;
-  let i = 0;
-
-  while (i < text.length) {
-    const ch = text[i];
+function wrap(info, precedence) {
+  return info.precedence < precedence ? `(${info.text})` : info.text;
+}
 
-    if (inString) {
-      result += ch;
-      if (ch === '"') {
-        if (text[i + 1] === '"') {
-          result += text[i + 1];
-          i += 1;
-        } else {
-          inString = false;
-        }
-      }
-      i += 1;
-      continue;
-    }
+function numericType(left, right) {
+  if (left.type === "SINGLE" || right.type === "SINGLE") {
+    return "SINGLE";
+  }
+  return integerType(left, right);
+}
 
-    if (ch === '"') {
-      inString = true;
-      result += ch;
-      i += 1;
-      continue;
-    }
+function integerType(left, right) {
+  const order = ["BOOLEAN", "BYTE", "INTEGER", "LONG"];
+  if (!order.includes(left.type) || !order.includes(right.type)) {
+    return null;
+  }
+  const widest = order[Math.max(order.indexOf(left.type), order.indexOf(right.type))];
+  return widest === "BOOLEAN" ? "BYTE" : widest;
+}
 
-    if (ch === "'") {
-      result += text.slice(i);
-      break;
-    }
+function variableStringLength(name, context) {
+  const upper = name.toUpperCase();
+  if (context.localTypes.has(upper)) {
+    return context.localStringLengths.get(upper) || null;
+  }
+  return context.stringLengths.get(upper) || null;
+}
 
-    if (
-      (ch === "I" || ch === "i") &&
-      (text[i + 1] === "N" || text[i + 1] === "n") &&
-      (i === 0 || !/[A-Za-z0-9_]/.test(text[i - 1]))
-    ) {
-      let j = i + 2;
-      while (j < text.length && /\s/.test(text[j])) {
-        j += 1;
-      }
-      if (text[j] === "(") {
-        result += "_gpio_in";
-        i += 2;
-        continue;
-      }
-    }
+function variableType(name, context) {
+  const upper = name.toUpperCase();
+  if (context.procedure && upper === context.procedure.name.toUpperCase()) {
+    return context.procedure.returnType;
+  }
+  if (context.localTypes.has(upper)) {
+    return context.localTypes.get(upper);
+  }
+  return context.types.get(upper) || null;
+}
 
-    result += ch;
-    i += 1;
+function translateNumber(node) {
+  if (node.raw.startsWith("&")) {
+    const prefix = { H: "0x", B: "0b", O: "0o" }[node.raw[1].toUpperCase()];
+    return `${prefix}${node.raw.slice(2)}`;
   }
+  return node.raw;
+}
 
-  return result;
+function translateIdentifier(name, context) {
+  if (
+    context.procedure &&
+    context.procedure.kind === "FUNCTION" &&
+    name.toUpperCase() === context.procedure.name.toUpperCase()
+  ) {
+    return "_result";
+  }
+  return name;
 }
 
-function parseDoLoopCondition(text) {
-  if (!text) {
-    return null;
+function translateCall(node, context) {
+  const upper = node.name.toUpperCase();
+  const procedure = context.procedures.get(upper);
+  const atom = (text, type, unsigned) => ({
+    text,
+    precedence: PYTHON_PRECEDENCE.atom,
+    type,
+    unsigned,
+  });
+
+  if (isArrayName(upper, context)) {
+    const subscripts = node.args.map((arg) => `[${translateExpression(arg, context)}]`);
+    const type = variableType(node.name, context);
+    return atom(`${node.name}${subscripts.join("")}`, type, type === "BYTE");
   }
-  const match = /^(WHILE|UNTIL)\b/i.exec(text);
-  if (!match) {
-    return null;
+  if (procedure) {
+    return atom(transpileCallExpression(procedure, node.args, context), procedure.returnType);
+  }
+  const builtin = BUILTIN_FUNCTIONS[upper];
+  if (builtin) {
+    const args = node.args.map((arg) => translateExpression(arg, context));
+    context.helpers.add(builtin.helper);
+    return atom(`${builtin.helper}(${args.join(", ")})`, builtin.type, builtin.type !== "STRING");
   }
-  const expr = text.slice(match[0].length).trim();
-  return { kind: match[1].toUpperCase(), expr };
+  addDiagnostic(context, "error", node.nameRange, "unknown-function", `'${node.name}' is not a known function or array.`);
+  const args = node.args.map((arg) => translateExpression(arg, context));
+  return atom(`${node.name}(${args.join(", ")})`, null);
 }
 
-function indentText(level) {
-  return " ".repeat(level * 4);
+function sourceText(range, context) {
+  const line = context.sourceLines[range.start.line] || "";
+  if (range.end.line !== range.start.line) {
+    return line.slice(range.start.character).trim();
+  }
+  return line.slice(range.start.character, range.end.character);
 }
 
-function findMatchingParen(text, openIndex) {
-  let depth = 0;
-  let inString = false;
+function sourceLine(statement, context) {
+  const line = context.sourceLines[statement.range.start.line] || "";
+  return line.slice(statement.range.start.character).trim();
+}
 
-  for (let i = openIndex + 1; i < text.length; i += 1) {
-    const ch = text[i];
-    if (inString) {
-      if (ch === '"') {
-        if (text[i + 1] === '"') {
-          i += 1;
-        } else {
-          inString = false;
-        }
-      }
-      continue;
-    }
-    if (ch === '"') {
-      inString = true;
-      continue;
-    }
-    if (ch === "(") {
-      depth += 1;
-      continue;
-    }
-    if (ch === ")") {
-      if (depth === 0) {
-        return i;
-      }
-      depth -= 1;
-    }
-  }
-  return -1;
+function indentText(level) {
+  return " ".repeat(level * 4);
 }
 
 module.exports = {
+  RUNTIME_MODULE,
   transpileCubToPython,
+  transpileCubWithSourceMap,
 };
-